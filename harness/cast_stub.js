@@ -0,0 +1,134 @@
+/**
+ * Half-Wit Cast Receiver - CAF stub
+ *
+ * Offline stand-in for the Cast Application Framework receiver SDK. index.html
+ * loads this (in place of the real cast.framework) when the page is opened with
+ * ?harness, so receiver.js can run in a desktop browser or headless test
+ * without a Chromecast.
+ *
+ * Only the parts of cast.framework that receiver.js uses are implemented, plus
+ * a few harness-only methods (connectSender, disconnectSender, receiveMessage)
+ * that play the role of the phone.
+ */
+
+(function() {
+    const EventType = {
+        SENDER_CONNECTED: 'senderconnected',
+        SENDER_DISCONNECTED: 'senderdisconnected'
+    };
+
+    let instance = null;
+
+    function createFakeContext() {
+        const messageListeners = {};
+        const eventListeners = {};
+        const startedCallbacks = [];
+        let senders = [];
+
+        const context = {
+            started: false,
+
+            // Every message the receiver sent: { namespace, senderId, data, time }
+            outbox: [],
+
+            // Optional hook called with each outbox entry as it is sent
+            onSend: null,
+
+            // ── cast.framework.CastReceiverContext API ──
+
+            addCustomMessageListener(namespace, listener) {
+                (messageListeners[namespace] = messageListeners[namespace] || []).push(listener);
+            },
+
+            addEventListener(type, listener) {
+                (eventListeners[type] = eventListeners[type] || []).push(listener);
+            },
+
+            getSenders() {
+                return senders.slice();
+            },
+
+            sendCustomMessage(namespace, senderId, message) {
+                // A missing senderId broadcasts to every connected sender, as in CAF
+                if (senderId !== undefined && !senders.some(s => s.id === senderId)) {
+                    throw new Error('Unknown senderId: ' + senderId);
+                }
+                const entry = {
+                    namespace: namespace,
+                    senderId: senderId,
+                    data: typeof message === 'string' ? JSON.parse(message) : message,
+                    time: Date.now()
+                };
+                context.outbox.push(entry);
+                console.log('[stub] Receiver sent to ' + (senderId || 'all senders') + ':', entry.data);
+                if (context.onSend) context.onSend(entry);
+            },
+
+            start(options) {
+                context.started = true;
+                console.log('[stub] Receiver context started', options);
+                startedCallbacks.splice(0).forEach(fn => fn());
+            },
+
+            // ── Harness controls ──
+
+            /**
+             * Run a callback once receiver.js has started the context
+             */
+            whenStarted(fn) {
+                if (context.started) fn();
+                else startedCallbacks.push(fn);
+            },
+
+            connectSender(senderId) {
+                if (senders.some(s => s.id === senderId)) return;
+                senders.push({ id: senderId, userAgent: 'Half-Wit Harness' });
+                dispatchEvent(EventType.SENDER_CONNECTED, senderId);
+            },
+
+            disconnectSender(senderId) {
+                if (!senders.some(s => s.id === senderId)) return;
+                senders = senders.filter(s => s.id !== senderId);
+                dispatchEvent(EventType.SENDER_DISCONNECTED, senderId);
+            },
+
+            /**
+             * Deliver a message to the receiver as if senderId had sent it.
+             * Objects are delivered as-is, like CAF does for JSON messages.
+             */
+            receiveMessage(senderId, data, namespace) {
+                const ns = namespace || Object.keys(messageListeners)[0];
+                (messageListeners[ns] || []).forEach(listener => {
+                    listener({ type: 'message', senderId: senderId, namespace: ns, data: data });
+                });
+            }
+        };
+
+        function dispatchEvent(type, senderId) {
+            (eventListeners[type] || []).forEach(listener => {
+                listener({ type: type, senderId: senderId, userAgent: 'Half-Wit Harness' });
+            });
+        }
+
+        return context;
+    }
+
+    function CastReceiverOptions() {
+        this.disableIdleTimeout = false;
+    }
+
+    window.cast = {
+        framework: {
+            CastReceiverContext: {
+                getInstance() {
+                    if (!instance) instance = createFakeContext();
+                    return instance;
+                }
+            },
+            CastReceiverOptions: CastReceiverOptions,
+            system: {
+                EventType: EventType
+            }
+        }
+    };
+})();
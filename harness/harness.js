@@ -0,0 +1,238 @@
+/**
+ * Half-Wit Cast Receiver - Offline Harness
+ *
+ * Plays a scripted JSON timeline of sender messages into the receiver through
+ * the stubbed CAF context from cast_stub.js. Open the receiver with:
+ *
+ *   index.html?harness                                  full game at normal speed
+ *   index.html?harness&speed=4                          4x faster
+ *   index.html?harness&timeline=harness/timelines/x.json
+ *   index.html?harness&autoplay=0                       wait for Play / API calls
+ *
+ * A timeline is { "name": "...", "steps": [...] } where each step waits
+ * `delay` ms after the previous one and then does one of:
+ *
+ *   { "delay": 0,   "action": "connect",    "sender": "host" }
+ *   { "delay": 0,   "action": "disconnect", "sender": "host" }
+ *   { "delay": 500, "sender": "host", "message": { "type": "lobby", ... } }
+ *
+ * `sender` defaults to "host". Headless tests can drive everything through
+ * window.halfwitHarness instead of the on-screen panel.
+ */
+
+(function() {
+    const DEFAULT_TIMELINE_URL = 'harness/timelines/full_game.json';
+    const DEFAULT_SENDER = 'host';
+
+    const params = new URLSearchParams(window.location.search);
+    const context = cast.framework.CastReceiverContext.getInstance();
+
+    let timeline = { name: '(none)', steps: [] };
+    let nextStep = 0;
+    let stepTimer = null;
+    let playing = false;
+    let speed = parseFloat(params.get('speed')) || 1;
+
+    let panel = null;
+
+    /**
+     * Perform a single timeline step against the stub context
+     */
+    function runStep(step) {
+        const sender = step.sender || DEFAULT_SENDER;
+        if (step.action === 'connect') {
+            context.connectSender(sender);
+        } else if (step.action === 'disconnect') {
+            context.disconnectSender(sender);
+        } else if (step.message) {
+            context.receiveMessage(sender, step.message);
+        } else {
+            console.warn('[harness] Skipping step with nothing to do:', step);
+        }
+        updatePanel();
+    }
+
+    function scheduleNext() {
+        clearTimeout(stepTimer);
+        stepTimer = null;
+        if (!playing) return;
+        if (nextStep >= timeline.steps.length) {
+            playing = false;
+            console.log('[harness] Timeline finished: ' + timeline.name);
+            updatePanel();
+            return;
+        }
+        const step = timeline.steps[nextStep];
+        stepTimer = setTimeout(() => {
+            nextStep++;
+            runStep(step);
+            scheduleNext();
+        }, (step.delay || 0) / speed);
+    }
+
+    function play() {
+        if (playing) return;
+        playing = true;
+        updatePanel();
+        scheduleNext();
+    }
+
+    function pause() {
+        playing = false;
+        clearTimeout(stepTimer);
+        stepTimer = null;
+        updatePanel();
+    }
+
+    /**
+     * Run the next step immediately, ignoring its delay
+     */
+    function step() {
+        pause();
+        if (nextStep < timeline.steps.length) {
+            runStep(timeline.steps[nextStep++]);
+        }
+        updatePanel();
+    }
+
+    /**
+     * Rewind to the first step and disconnect every stub sender
+     */
+    function restart() {
+        pause();
+        context.getSenders().forEach(s => context.disconnectSender(s.id));
+        nextStep = 0;
+        updatePanel();
+    }
+
+    function setSpeed(newSpeed) {
+        speed = newSpeed > 0 ? newSpeed : 1;
+        if (playing) scheduleNext();
+        updatePanel();
+    }
+
+    function loadTimeline(data) {
+        pause();
+        timeline = { name: data.name || '(unnamed)', steps: Array.isArray(data.steps) ? data.steps : [] };
+        nextStep = 0;
+        console.log('[harness] Loaded timeline "' + timeline.name + '" (' + timeline.steps.length + ' steps)');
+        updatePanel();
+    }
+
+    function fetchTimeline(url) {
+        return fetch(url)
+            .then(r => {
+                if (!r.ok) throw new Error('HTTP ' + r.status);
+                return r.json();
+            })
+            .then(loadTimeline);
+    }
+
+    // ── Control panel ──
+
+    function button(label, onClick) {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    function buildPanel() {
+        panel = document.createElement('div');
+        panel.id = 'harness-panel';
+
+        const title = document.createElement('div');
+        title.className = 'harness-title';
+        panel.appendChild(title);
+
+        const controls = document.createElement('div');
+        controls.className = 'harness-controls';
+        controls.appendChild(button('Play', play));
+        controls.appendChild(button('Pause', pause));
+        controls.appendChild(button('Step', step));
+        controls.appendChild(button('Restart', restart));
+
+        const speedSelect = document.createElement('select');
+        [0.5, 1, 2, 4, 8].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value + 'x';
+            speedSelect.appendChild(option);
+        });
+        speedSelect.value = String(speed);
+        speedSelect.addEventListener('change', () => setSpeed(parseFloat(speedSelect.value)));
+        controls.appendChild(speedSelect);
+        panel.appendChild(controls);
+
+        const status = document.createElement('div');
+        status.className = 'harness-status';
+        panel.appendChild(status);
+
+        const outbox = document.createElement('div');
+        outbox.className = 'harness-outbox';
+        panel.appendChild(outbox);
+
+        // Hide/show with the H key so screens can be checked unobstructed
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'h' || e.key === 'H') panel.classList.toggle('hidden');
+        });
+
+        document.body.appendChild(panel);
+        updatePanel();
+    }
+
+    function updatePanel() {
+        if (!panel) return;
+        panel.querySelector('.harness-title').textContent = 'Harness: ' + timeline.name;
+
+        const upcoming = timeline.steps[nextStep];
+        let upcomingLabel = 'done';
+        if (upcoming) {
+            upcomingLabel = upcoming.message ? upcoming.message.type : upcoming.action + ' ' + (upcoming.sender || DEFAULT_SENDER);
+        }
+        panel.querySelector('.harness-status').textContent =
+            (playing ? 'Playing' : 'Paused') + ' · step ' + nextStep + '/' + timeline.steps.length +
+            ' · next: ' + upcomingLabel + ' · senders: ' + (context.getSenders().map(s => s.id).join(', ') || 'none');
+    }
+
+    function appendOutbox(entry) {
+        if (!panel) return;
+        const list = panel.querySelector('.harness-outbox');
+        const line = document.createElement('div');
+        line.textContent = '→ ' + (entry.senderId || 'all') + ': ' + JSON.stringify(entry.data);
+        list.insertBefore(line, list.firstChild);
+        while (list.childNodes.length > 20) {
+            list.removeChild(list.lastChild);
+        }
+    }
+
+    context.onSend = appendOutbox;
+
+    // Public API for headless tests and the browser console
+    window.halfwitHarness = {
+        context: context,
+        loadTimeline: loadTimeline,
+        fetchTimeline: fetchTimeline,
+        play: play,
+        pause: pause,
+        step: step,
+        restart: restart,
+        setSpeed: setSpeed,
+        connect: senderId => context.connectSender(senderId || DEFAULT_SENDER),
+        disconnect: senderId => context.disconnectSender(senderId || DEFAULT_SENDER),
+        send: (message, senderId) => context.receiveMessage(senderId || DEFAULT_SENDER, message),
+        get outbox() { return context.outbox; }
+    };
+
+    document.addEventListener('DOMContentLoaded', buildPanel);
+
+    // Start playback once receiver.js has started the (stub) receiver context
+    context.whenStarted(() => {
+        const url = params.get('timeline') || DEFAULT_TIMELINE_URL;
+        fetchTimeline(url)
+            .then(() => {
+                if (params.get('autoplay') !== '0') play();
+            })
+            .catch(e => console.warn('[harness] Could not load timeline ' + url + ':', e.message));
+    });
+})();
@@ -0,0 +1,371 @@
+/**
+ * Half-Wit Cast Receiver - QR Codes
+ *
+ * A small QR code encoder, so the lobby can show a join link without an
+ * image service. index.html loads this before receiver.js, which draws the
+ * result. Text is encoded as UTF-8 bytes at error correction level M, in the
+ * smallest version (1–40) it fits, with the mask that scores best under the
+ * spec's penalty rules.
+ */
+
+// Level M error correction codewords per block and block counts, by version
+const QR_ECC_PER_BLOCK = [-1,
+    10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_BLOCK_COUNT = [-1,
+    1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const QR_FORMAT_ECC_M = 0;
+const QR_MODE_BYTE = 0x4;
+
+/**
+ * Encode text as a QR code. Returns { size, modules }, where modules[y][x]
+ * is true for a dark module. Throws a RangeError if the text is too long.
+ */
+function encodeQrCode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    for (; version <= 40; version++) {
+        const countBits = version < 10 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= qrDataCodewords(version) * 8) break;
+    }
+    if (version > 40) throw new RangeError('Text too long for a QR code: ' + bytes.length + ' bytes');
+
+    const codewords = qrAddErrorCorrection(qrDataBits(bytes, version), version);
+    const size = version * 4 + 17;
+    const qr = {
+        size: size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+
+    qrDrawFunctionPatterns(qr, version);
+    qrDrawCodewords(qr, codewords);
+
+    // Try every mask and keep the one with the lowest penalty
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        qrApplyMask(qr, mask);
+        qrDrawFormatBits(qr, mask);
+        const penalty = qrPenalty(qr);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        qrApplyMask(qr, mask); // XOR again to undo
+    }
+    qrApplyMask(qr, bestMask);
+    qrDrawFormatBits(qr, bestMask);
+
+    return { size: size, modules: qr.modules };
+}
+
+// ── Data ─────────────────────────────────────────────────────────────────
+
+/**
+ * Modules left for data and error correction once function patterns are drawn
+ */
+function qrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignCount - 10) * alignCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function qrDataCodewords(version) {
+    return Math.floor(qrRawDataModules(version) / 8) - QR_ECC_PER_BLOCK[version] * QR_BLOCK_COUNT[version];
+}
+
+/**
+ * Byte mode header, the bytes, terminator and padding, as data codewords
+ */
+function qrDataBits(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(QR_MODE_BYTE, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+
+    const capacity = qrDataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Split data into blocks, append each block's Reed–Solomon codewords and
+ * interleave the result
+ */
+function qrAddErrorCorrection(data, version) {
+    const blockCount = QR_BLOCK_COUNT[version];
+    const eccLength = QR_ECC_PER_BLOCK[version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = qrReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+        const blockData = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        blocks.push({ data: blockData, ecc: qrReedSolomonRemainder(blockData, divisor) });
+    }
+
+    const result = [];
+    const longestData = shortBlockLength - eccLength + 1;
+    for (let i = 0; i < longestData; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+}
+
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(b => {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= qrMultiply(coef, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+// ── Drawing ──────────────────────────────────────────────────────────────
+
+function qrSetFunction(qr, x, y, dark) {
+    qr.modules[y][x] = dark;
+    qr.isFunction[y][x] = true;
+}
+
+function qrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < count; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+/**
+ * Finders, timing lines, alignment patterns and version info. Format bits
+ * are reserved here and drawn once the mask is known.
+ */
+function qrDrawFunctionPatterns(qr, version) {
+    const size = qr.size;
+
+    for (let i = 0; i < size; i++) {
+        qrSetFunction(qr, 6, i, i % 2 === 0);
+        qrSetFunction(qr, i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                qrSetFunction(qr, x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    const positions = qrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            // Skip the three corners the finders already occupy
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    qrSetFunction(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    qrDrawFormatBits(qr, 0);
+
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            qrSetFunction(qr, a, b, dark);
+            qrSetFunction(qr, b, a, dark);
+        }
+    }
+}
+
+function qrDrawFormatBits(qr, mask) {
+    const size = qr.size;
+    const data = (QR_FORMAT_ECC_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) qrSetFunction(qr, 8, i, bit(i));
+    qrSetFunction(qr, 8, 7, bit(6));
+    qrSetFunction(qr, 8, 8, bit(7));
+    qrSetFunction(qr, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) qrSetFunction(qr, 14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) qrSetFunction(qr, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) qrSetFunction(qr, 8, size - 15 + i, bit(i));
+    qrSetFunction(qr, 8, size - 8, true);
+}
+
+/**
+ * Lay codewords in the zigzag of two-module columns, right to left
+ */
+function qrDrawCodewords(qr, codewords) {
+    const size = qr.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing line
+        const upward = ((right + 1) & 2) === 0;
+        for (let vert = 0; vert < size; vert++) {
+            const y = upward ? size - 1 - vert : vert;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (qr.isFunction[y][x] || i >= codewords.length * 8) continue;
+                qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                i++;
+            }
+        }
+    }
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function qrApplyMask(qr, mask) {
+    const invert = QR_MASKS[mask];
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (!qr.isFunction[y][x] && invert(x, y)) qr.modules[y][x] = !qr.modules[y][x];
+        }
+    }
+}
+
+// ── Mask Penalty ─────────────────────────────────────────────────────────
+
+/**
+ * Score a masked symbol: long runs, 2×2 blocks, finder look-alikes and an
+ * uneven dark/light balance all make it harder to scan
+ */
+function qrPenalty(qr) {
+    const size = qr.size;
+    const columns = qr.modules[0].map((_, x) => qr.modules.map(row => row[x]));
+    let penalty = 0;
+
+    qr.modules.concat(columns).forEach(line => {
+        penalty += qrLinePenalty(line);
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const color = qr.modules[y][x];
+            if (color) dark++;
+            if (x < size - 1 && y < size - 1 &&
+                color === qr.modules[y][x + 1] &&
+                color === qr.modules[y + 1][x] &&
+                color === qr.modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+    return penalty;
+}
+
+/**
+ * Runs of five or more, and 1:1:3:1:1 finder patterns with four light
+ * modules on either side (the edge counts as light)
+ */
+function qrLinePenalty(line) {
+    let penalty = 0;
+    let runLength = 0;
+    line.forEach((color, i) => {
+        runLength = i > 0 && color === line[i - 1] ? runLength + 1 : 1;
+        if (runLength === 5) penalty += 3;
+        else if (runLength > 5) penalty += 1;
+    });
+
+    const padded = [false, false, false, false].concat(line, [false, false, false, false]);
+    const finder = [true, false, true, true, true, false, true];
+    for (let i = 0; i + 7 <= padded.length; i++) {
+        if (!finder.every((dark, k) => padded[i + k] === dark)) continue;
+        const lightBefore = i >= 4 && padded.slice(i - 4, i).every(dark => !dark);
+        const lightAfter = i + 11 <= padded.length && padded.slice(i + 7, i + 11).every(dark => !dark);
+        if (lightBefore || lightAfter) penalty += 40;
+    }
+    return penalty;
+}
@@ -8,56 +8,729 @@
 // Custom namespace for Half-Wit game messages
 const HALFWIT_NAMESPACE = 'urn:x-cast:com.halfwit.game';
 
-// Screen elements
-const screens = {
-    connecting: document.getElementById('connecting-screen'),
-    lobby: document.getElementById('lobby-screen'),
-    tutorial: document.getElementById('tutorial-screen'),
-    loading: document.getElementById('loading-screen'),
-    countdown: document.getElementById('countdown-screen'),
-    answering: document.getElementById('answering-screen'),
-    votingTransition: document.getElementById('voting-transition-screen'),
-    matchupVoting: document.getElementById('matchup-voting-screen'),
-    matchupResults: document.getElementById('matchup-results-screen'),
-    roundResults: document.getElementById('round-results-screen'),
-    gameResults: document.getElementById('game-results-screen'),
-    end: document.getElementById('end-screen')
-};
+// Version of the sender/receiver message protocol, advertised in receiver_ready.
+// Bump it for changes older senders can't cope with; additive changes are
+// advertised through RECEIVER_FEATURES instead. Senders that never send
+// `hello` predate the handshake and are treated as version 1.
+const PROTOCOL_VERSION = 2;
+const MIN_SENDER_PROTOCOL_VERSION = 1;
+
+// Optional receiver capabilities a sender can check for before relying on them
+const RECEIVER_FEATURES = [
+    'message_validation',
+    'state_resync',
+    'lifecycle_events',
+    'deadline_timers',
+    'host_authority',
+    'session_recording',
+    'timelines',
+    'localization',
+    'themes',
+    'accessibility',
+    'audience',
+    'join_code',
+    'custom_avatars'
+];
+
+// ── Screen Registry ─────────────────────────────────────────────────
+// Each screen declares its DOM root, the message types that drive it (with
+// the function that renders each one) and optional onEnter/onExit hooks.
+// Timers a screen starts through screenTimeout() are cancelled when the TV
+// leaves that screen, so animations don't keep firing after it has moved on.
+// Adding a screen means registering it here; handleMessage routes its
+// messages without any further changes.
+
+const screenRegistry = {};
+
+// Screen root elements by name
+const screens = {};
+
+// Message type → name of the screen it renders
+const screenForMessage = {};
+
+// Pending screenTimeout ids by screen name
+const screenTimers = {};
+
+// Timelines that have been played, by the screen that owns them
+const screenTimelines = {};
+
+/**
+ * Register a screen.
+ *
+ * definition.elementId   id of the screen's root element in index.html
+ * definition.messages    { messageType: render(data, senderId) }. The screen is
+ *                        shown after render unless it returns false; use null
+ *                        for messages with nothing to render.
+ * definition.onEnter     called when the screen becomes visible
+ * definition.onExit      called when another screen replaces it
+ * definition.musicTrack  music track for this phase, crossfaded to if music is playing
+ * definition.cacheState  false to keep its messages out of the resync cache
+ */
+function registerScreen(name, definition) {
+    const messages = definition.messages || {};
+    screenRegistry[name] = {
+        name: name,
+        root: document.getElementById(definition.elementId),
+        messages: messages,
+        onEnter: definition.onEnter || null,
+        onExit: definition.onExit || null,
+        musicTrack: definition.musicTrack || null,
+        cacheState: definition.cacheState !== false
+    };
+    screens[name] = screenRegistry[name].root;
+    Object.keys(messages).forEach(type => {
+        screenForMessage[type] = name;
+    });
+}
+
+/**
+ * setTimeout owned by a screen: cleared automatically when it is left
+ */
+function screenTimeout(screenName, fn, delay) {
+    const id = setTimeout(() => {
+        const timers = screenTimers[screenName];
+        if (timers) timers.delete(id);
+        fn();
+    }, delay);
+    (screenTimers[screenName] = screenTimers[screenName] || new Set()).add(id);
+    return id;
+}
+
+/**
+ * Cancel everything a screen has scheduled: screenTimeouts and timelines
+ */
+function clearScreenTimers(screenName) {
+    const timers = screenTimers[screenName];
+    if (timers) {
+        timers.forEach(id => clearTimeout(id));
+        timers.clear();
+    }
+    const timelines = screenTimelines[screenName];
+    if (timelines) {
+        Array.from(timelines).forEach(timeline => timeline.cancel());
+    }
+}
+
+// Leaving the game for these screens also ends any pause or narration
+registerScreen('connecting', {
+    elementId: 'connecting-screen',
+    onEnter: leaveGame
+});
+registerScreen('lobby', {
+    elementId: 'lobby-screen',
+    messages: { lobby: updateLobbyScreen },
+    musicTrack: 'lobby'
+});
+registerScreen('tutorial', {
+    elementId: 'tutorial-screen',
+    messages: { tutorial: startTutorial },
+    musicTrack: 'lobby'
+});
+registerScreen('loading', {
+    elementId: 'loading-screen',
+    messages: {
+        loading: updateLoadingScreen,
+        loading_round: updateLoadingRoundScreen,
+        skip_tutorial: skipTutorial
+    }
+});
+registerScreen('countdown', {
+    elementId: 'countdown-screen',
+    messages: { round_countdown: updateCountdownScreen },
+    onExit: stopScreenTimer,
+    musicTrack: 'answering'
+});
+registerScreen('answering', {
+    elementId: 'answering-screen',
+    messages: { answering: updateAnsweringScreen },
+    onExit: stopScreenTimer,
+    musicTrack: 'answering'
+});
+registerScreen('votingTransition', {
+    elementId: 'voting-transition-screen',
+    messages: { voting_transition: null },
+    musicTrack: 'voting'
+});
+registerScreen('matchupVoting', {
+    elementId: 'matchup-voting-screen',
+    messages: { matchup_voting: updateMatchupVotingScreen },
+    onExit: stopScreenTimer,
+    musicTrack: 'voting'
+});
+registerScreen('matchupResults', {
+    elementId: 'matchup-results-screen',
+    messages: { matchup_results: updateMatchupResultsScreen },
+    musicTrack: 'results'
+});
+registerScreen('roundResults', {
+    elementId: 'round-results-screen',
+    messages: { round_results: updateRoundResultsScreen },
+    musicTrack: 'results'
+});
+registerScreen('gameResults', {
+    elementId: 'game-results-screen',
+    messages: { game_results: updateGameResultsScreen },
+    musicTrack: 'results'
+});
+registerScreen('end', {
+    elementId: 'end-screen',
+    messages: { end: endGame },
+    onEnter: leaveGame,
+    cacheState: false
+});
+registerScreen('update', { elementId: 'update-screen', cacheState: false });
 
 let currentScreen = 'connecting';
 
+function leaveGame() {
+    setGamePaused(false);
+    stopNarrator();
+    narratorLastKey = null;
+}
+
+// Cast receiver context, set once initReceiver has started it
+let castContext = null;
+
 /**
  * Show a specific screen and hide all others
  */
 function showScreen(screenName) {
-    // If leaving the tutorial screen, clean up tutorial timeouts
-    if (currentScreen === 'tutorial' && screenName !== 'tutorial') {
-        clearTutorialTimeouts();
+    const next = screenRegistry[screenName];
+    if (!next) {
+        console.warn('Unknown screen:', screenName);
+        return;
     }
 
-    Object.keys(screens).forEach(name => {
-        if (screens[name]) {
-            screens[name].classList.remove('active');
-        }
+    const changed = currentScreen !== screenName;
+    const previous = screenRegistry[currentScreen];
+
+    // Tear down whatever the screen we're leaving still had running
+    if (changed && previous) {
+        clearScreenTimers(previous.name);
+        if (previous.onExit) previous.onExit();
+    }
+
+    Object.keys(screenRegistry).forEach(name => {
+        screenRegistry[name].root.classList.remove('active');
     });
 
-    if (screens[screenName]) {
-        screens[screenName].classList.add('active');
-        currentScreen = screenName;
-        console.log('Showing screen:', screenName);
+    next.root.classList.add('active');
+    currentScreen = screenName;
+    console.log('Showing screen:', screenName);
+
+    if (changed) {
+        if (next.onEnter) next.onEnter();
+        followScreenMusic(next);
+        broadcastEvent('screen_shown', { screen: screenName });
+    }
+}
+
+// ── Timelines ───────────────────────────────────────────────────────
+// Scripted sequences (the tutorial, the results reveals) are built as a
+// timeline of steps instead of chains of setTimeout. A timeline belongs to a
+// screen and is cancelled when the TV leaves it. It can be paused and resumed
+// with the game, jumped forward to a named cue (skip_tutorial, or a TV picking
+// the tutorial up part way through) and knows its total duration, which is
+// reported to senders in a timeline_started event.
+
+let gamePaused = false;
+
+/**
+ * Create a timeline owned by a screen.
+ *
+ * Build it with a cursor: add(fn, offset) schedules fn at the cursor (plus an
+ * optional offset), wait(ms) moves the cursor on and cue(name) names the
+ * cursor position. Then play(startAt) runs it, where startAt is a cue name
+ * or an offset in ms.
+ */
+function createTimeline(screenName, name) {
+    const steps = [];
+    const cues = {};
+    let cursor = 0;
+
+    let state = 'idle'; // idle | running | paused | done | cancelled
+    let nextStep = 0;
+    let startedAt = 0;   // Date.now() at elapsed 0, while running
+    let pausedElapsed = 0;
+    let timer = null;
+
+    function elapsed() {
+        return state === 'running' ? Date.now() - startedAt : pausedElapsed;
+    }
+
+    function resolveTime(target) {
+        if (typeof target === 'number') return target;
+        if (cues[target] === undefined) {
+            console.warn('Timeline ' + name + ' has no cue:', target);
+            return null;
+        }
+        return cues[target];
+    }
+
+    /**
+     * Run every step due at or before `time`, stopping early if a step
+     * cancels the timeline (e.g. by changing screen)
+     */
+    function runUntil(time) {
+        while (nextStep < steps.length && steps[nextStep].time <= time) {
+            const step = steps[nextStep++];
+            step.fn();
+            if (state === 'cancelled') return;
+        }
+    }
+
+    function finish(finalState) {
+        clearTimeout(timer);
+        timer = null;
+        state = finalState;
+        const owned = screenTimelines[screenName];
+        if (owned) owned.delete(timeline);
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = null;
+        if (state !== 'running') return;
+        const nextTime = nextStep < steps.length ? steps[nextStep].time : timeline.duration;
+        timer = setTimeout(() => {
+            runUntil(elapsed());
+            if (state !== 'running') return;
+            if (nextStep >= steps.length && elapsed() >= timeline.duration) {
+                finish('done');
+            } else {
+                schedule();
+            }
+        }, Math.max(0, nextTime - elapsed()));
+    }
+
+    const timeline = {
+        name: name,
+        screen: screenName,
+
+        get state() { return state; },
+        get elapsed() { return elapsed(); },
+        get duration() {
+            return steps.reduce((max, step) => Math.max(max, step.time), cursor);
+        },
+
+        add(fn, offset) {
+            steps.push({ time: cursor + (offset || 0), fn: fn });
+            return timeline;
+        },
+
+        wait(ms) {
+            cursor += ms;
+            return timeline;
+        },
+
+        cue(cueName) {
+            cues[cueName] = cursor;
+            return timeline;
+        },
+
+        cueTime(cueName) {
+            return cues[cueName];
+        },
+
+        play(startAt) {
+            if (state !== 'idle') return timeline;
+            // Stable sort keeps steps at the same time in the order they were added
+            steps.sort((a, b) => a.time - b.time);
+            state = 'running';
+            startedAt = Date.now();
+            (screenTimelines[screenName] = screenTimelines[screenName] || new Set()).add(timeline);
+
+            const startTime = startAt !== undefined ? resolveTime(startAt) : 0;
+            broadcastEvent('timeline_started', {
+                screen: screenName,
+                timeline: name,
+                durationMs: timeline.duration,
+                startMs: startTime || 0
+            });
+            if (startTime) timeline.seek(startTime);
+            if (gamePaused) timeline.pause();
+            schedule();
+            return timeline;
+        },
+
+        pause() {
+            if (state !== 'running') return;
+            pausedElapsed = elapsed();
+            state = 'paused';
+            clearTimeout(timer);
+            timer = null;
+        },
+
+        resume() {
+            if (state !== 'paused') return;
+            state = 'running';
+            startedAt = Date.now() - pausedElapsed;
+            schedule();
+        },
+
+        /**
+         * Jump forward to a cue or offset, applying every step on the way
+         * immediately. Timelines only move forward; earlier targets are ignored.
+         */
+        seek(target) {
+            if (state !== 'running' && state !== 'paused') return;
+            const time = resolveTime(target);
+            if (time === null || time <= elapsed()) return;
+            runUntil(time);
+            if (state === 'cancelled') return;
+            if (state === 'paused') {
+                pausedElapsed = time;
+            } else {
+                startedAt = Date.now() - time;
+                schedule();
+            }
+        },
+
+        cancel() {
+            if (state === 'done' || state === 'cancelled') return;
+            finish('cancelled');
+        }
+    };
+    return timeline;
+}
+
+/**
+ * Pause or resume every running timeline and the local countdown
+ */
+function setGamePaused(paused) {
+    if (gamePaused === paused) return;
+    gamePaused = paused;
+    Object.keys(screenTimelines).forEach(screenName => {
+        screenTimelines[screenName].forEach(timeline => {
+            if (paused) timeline.pause();
+            else timeline.resume();
+        });
+    });
+    if (paused) {
+        pauseLocalCountdown();
+        stopClockTicker();
+    } else {
+        resumeLocalCountdown();
     }
+    pauseNarrator(paused);
+    document.body.classList.toggle('paused', paused);
+    console.log(paused ? 'Game paused' : 'Game resumed');
+    broadcastEvent('pause_changed', { paused: paused });
 }
 
+// Timer colour thresholds, also where the clock ticks start and speed up
+const TIMER_WARNING_SECONDS = 10;
+const TIMER_CRITICAL_SECONDS = 5;
+
 /**
  * Update timer circle styling based on time remaining
  */
 function updateTimerStyle(element, seconds, totalSeconds) {
     element.classList.remove('warning', 'critical');
-    if (seconds <= 5) {
+    let label = '';
+    if (seconds <= TIMER_CRITICAL_SECONDS) {
         element.classList.add('critical');
-    } else if (seconds <= 10) {
+        label = t('a11y.timerCritical');
+    } else if (seconds <= TIMER_WARNING_SECONDS) {
         element.classList.add('warning');
+        label = t('a11y.timerWarning');
+    }
+
+    // Spelled out for cueLabels, next to the colour change
+    const labelEl = element.parentElement.querySelector('.timer-label');
+    if (labelEl) labelEl.textContent = label;
+}
+
+// ── Local Countdown Timers ──────────────────────────────────────────
+// Timed screens (round countdown, answering, matchup voting) can be sent an
+// absolute `deadline` (or a `durationMs`) instead of a secondsRemaining push
+// every second. The receiver then counts down on its own, so a dropped or
+// late message no longer stalls or jumps the timer. Deadlines are in the
+// sender's clock; `serverTime` (the sender's clock when it sent the message)
+// lets us correct for the difference between the phone and TV clocks.
+
+const TIMER_TICK_MS = 200;
+const CLOCK_SAMPLE_COUNT = 8;
+
+let clockOffsetSamples = [];
+let activeCountdown = null;
+
+/**
+ * Record a sender timestamp for clock-offset estimation
+ */
+function recordClockSample(serverTime) {
+    clockOffsetSamples.push(serverTime - Date.now());
+    if (clockOffsetSamples.length > CLOCK_SAMPLE_COUNT) {
+        clockOffsetSamples.shift();
+    }
+}
+
+/**
+ * Estimated sender clock minus receiver clock, in ms.
+ * Each sample under-estimates the offset by that message's transit time,
+ * so the largest recent sample is the closest to the truth.
+ */
+function getClockOffset() {
+    return clockOffsetSamples.length > 0 ? Math.max(...clockOffsetSamples) : 0;
+}
+
+/**
+ * Convert a timed message's deadline/durationMs into a receiver-clock deadline
+ */
+function resolveLocalDeadline(data) {
+    if (data.deadline !== undefined) {
+        return data.deadline - getClockOffset();
+    }
+    if (data.serverTime !== undefined) {
+        return data.serverTime + data.durationMs - getClockOffset();
+    }
+    return Date.now() + data.durationMs;
+}
+
+function stopLocalCountdown() {
+    if (activeCountdown) {
+        clearInterval(activeCountdown.interval);
+        activeCountdown = null;
+    }
+}
+
+/**
+ * Freeze the local countdown while the game is paused
+ */
+function pauseLocalCountdown() {
+    if (!activeCountdown || activeCountdown.remainingMs !== undefined) return;
+    clearInterval(activeCountdown.interval);
+    activeCountdown.remainingMs = Math.max(0, activeCountdown.deadline - Date.now());
+    syncCachedCountdown();
+}
+
+/**
+ * Carry on counting down from where the pause left off
+ */
+function resumeLocalCountdown() {
+    if (!activeCountdown || activeCountdown.remainingMs === undefined) return;
+    activeCountdown.deadline = Date.now() + activeCountdown.remainingMs;
+    delete activeCountdown.remainingMs;
+    syncCachedCountdown();
+    activeCountdown.interval = setInterval(activeCountdown.tick, TIMER_TICK_MS);
+    activeCountdown.tick();
+}
+
+/**
+ * Drive a screen's timer display from a timed message. Messages with a
+ * deadline start a local countdown; plain secondsRemaining messages are
+ * shown as-is, as before.
+ */
+function runScreenTimer(screenName, data, render) {
+    stopLocalCountdown();
+
+    if (data.deadline === undefined && data.durationMs === undefined) {
+        render(data.secondsRemaining);
+        return;
+    }
+
+    const tick = () => {
+        const seconds = Math.max(0, Math.ceil((activeCountdown.deadline - Date.now()) / 1000));
+        render(seconds);
+        if (seconds === 0) stopLocalCountdown();
+    };
+    activeCountdown = {
+        screen: screenName,
+        deadline: resolveLocalDeadline(data),
+        tick: tick,
+        interval: setInterval(tick, TIMER_TICK_MS)
+    };
+    tick();
+    if (gamePaused) pauseLocalCountdown();
+}
+
+/**
+ * A timed screen is being left: stop its countdown and clock ticks
+ */
+function stopScreenTimer() {
+    stopLocalCountdown();
+    stopClockTicker();
+    clockTicksSilenced = false;
+}
+
+// ── Clock Ticks ─────────────────────────────────────────────────────
+// In the warning window of the answering and matchup voting timers the
+// receiver plays alternating tick/tock sounds by itself, twice as fast once
+// the timer goes critical. The timer's render calls updateClockTicker with
+// every new value; ticking stops when the timer reaches zero, its screen is
+// left, stop_countdown arrives, the game is paused, or the timer stops being
+// updated (a sender that stopped pushing secondsRemaining). On the
+// single-element audio fallback a tick would cut off the music or another
+// sound, so ticks are skipped while either is playing there.
+
+const CLOCK_TICK_INTERVAL_MS = 1000;
+const CLOCK_TICK_CRITICAL_INTERVAL_MS = 500;
+const CLOCK_TICK_STALE_MS = 2000;
+
+// { screen, intervalMs, interval, lastUpdate, count } while ticking
+let clockTicker = null;
+
+// Set by stop_countdown: no more ticks until the timed screen is left
+let clockTicksSilenced = false;
+
+/**
+ * Start, speed up or stop the clock ticks for a timer's new value
+ */
+function updateClockTicker(screenName, seconds) {
+    if (seconds <= 0 || seconds > TIMER_WARNING_SECONDS || !audioPrefs.clockTicks ||
+        clockTicksSilenced || gamePaused) {
+        stopClockTicker();
+        return;
+    }
+
+    const intervalMs = seconds <= TIMER_CRITICAL_SECONDS ? CLOCK_TICK_CRITICAL_INTERVAL_MS : CLOCK_TICK_INTERVAL_MS;
+    if (clockTicker && clockTicker.screen === screenName && clockTicker.intervalMs === intervalMs) {
+        clockTicker.lastUpdate = Date.now();
+        return;
+    }
+
+    // Keep the tick/tock alternation going when switching to the critical speed
+    const continuing = clockTicker !== null && clockTicker.screen === screenName;
+    const count = continuing ? clockTicker.count : 0;
+    stopClockTicker();
+
+    clockTicker = { screen: screenName, intervalMs: intervalMs, lastUpdate: Date.now(), count: count };
+    clockTicker.interval = setInterval(() => {
+        if (Date.now() - clockTicker.lastUpdate > CLOCK_TICK_STALE_MS) {
+            stopClockTicker();
+            return;
+        }
+        playClockTick();
+    }, intervalMs);
+    if (!continuing) playClockTick();
+}
+
+function playClockTick() {
+    const name = clockTicker.count % 2 === 0 ? 'tick' : 'tock';
+    clockTicker.count++;
+    if (!mixer) {
+        if (musicTrack !== null) return;
+        // Nor cut off another sound, e.g. a countdown the sender just started
+        const playing = playingFallbackSfx();
+        if (playing !== null && playing !== 'tick' && playing !== 'tock') return;
     }
+    if (!isSfxLoaded(name)) return;
+    playSfx(name);
+}
+
+function stopClockTicker() {
+    if (clockTicker) {
+        clearInterval(clockTicker.interval);
+        clockTicker = null;
+    }
+}
+
+// ── Localization ────────────────────────────────────────────────────
+// On-screen text comes from STRING_CATALOGS (strings.js), in the locale the
+// host sends with `hello` or `lobby`. Elements in index.html name their
+// string with data-i18n; children marked data-slot (e.g. .round-number) keep
+// their place inside the translated text, so renders can still fill them.
+// Numbers go through formatNumber so they read naturally in every locale.
+
+const DEFAULT_LOCALE = 'en';
+
+let currentLocale = DEFAULT_LOCALE;
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+let numberFormat = new Intl.NumberFormat(DEFAULT_LOCALE, { maximumFractionDigits: 1 });
+let percentFormat = new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'percent', maximumFractionDigits: 0 });
+
+// Parameters each data-i18n element was last localized with, for locale changes
+const localizedParams = new WeakMap();
+
+/**
+ * Closest catalog for a locale tag: "es-MX" → "es", anything unknown → "en"
+ */
+function resolveLocale(locale) {
+    const tag = String(locale || '').replace('_', '-').toLowerCase();
+    if (STRING_CATALOGS[tag]) return tag;
+    const language = tag.split('-')[0];
+    return STRING_CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+function formatNumber(value) {
+    return numberFormat.format(value);
+}
+
+/**
+ * A 0–1 share as a whole percentage ("42%", "42 %" in German)
+ */
+function formatPercent(share) {
+    return percentFormat.format(share);
+}
+
+/**
+ * Answer time in minutes, to the tenth (e.g. 90s → "1.5")
+ */
+function formatMinutes(seconds) {
+    return formatNumber(Math.floor(seconds / 6) / 10);
+}
+
+/**
+ * Look up a string and fill its {placeholders}. Plural strings pick their
+ * form from params.count; numbers are formatted for the locale.
+ */
+function t(key, params = {}) {
+    let entry = STRING_CATALOGS[currentLocale][key];
+    if (entry === undefined) entry = STRING_CATALOGS[DEFAULT_LOCALE][key];
+    if (entry === undefined) return key;
+    if (typeof entry === 'object') {
+        entry = entry[pluralRules.select(params.count !== undefined ? params.count : 0)] || entry.other;
+    }
+    return entry.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined) return match;
+        return typeof value === 'number' ? formatNumber(value) : value;
+    });
+}
+
+/**
+ * Render an element's data-i18n string into it, keeping its data-slot
+ * children. Catalog strings are trusted markup; slot contents are left alone.
+ */
+function localizeElement(element, params = {}) {
+    localizedParams.set(element, params);
+    const slots = {};
+    element.querySelectorAll('[data-slot]').forEach(slot => {
+        slots[slot.dataset.slot] = slot;
+        slot.remove();
+    });
+
+    const markers = {};
+    Object.keys(slots).forEach(name => {
+        markers[name] = '<i data-slot-marker="' + name + '"></i>';
+    });
+    element.innerHTML = t(element.dataset.i18n, Object.assign({}, params, markers));
+    element.querySelectorAll('[data-slot-marker]').forEach(marker => {
+        marker.replaceWith(slots[marker.dataset.slotMarker]);
+    });
+}
+
+function localizePage() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        localizeElement(element, localizedParams.get(element));
+    });
+}
+
+/**
+ * Switch the on-screen language. Text a render has already filled in is
+ * redrawn the next time that screen's message arrives.
+ */
+function setLocale(locale) {
+    const resolved = resolveLocale(locale);
+    if (resolved === currentLocale) return;
+    console.log('Locale:', locale, '→', resolved);
+
+    currentLocale = resolved;
+    pluralRules = new Intl.PluralRules(resolved);
+    numberFormat = new Intl.NumberFormat(resolved, { maximumFractionDigits: 1 });
+    percentFormat = new Intl.NumberFormat(resolved, { style: 'percent', maximumFractionDigits: 0 });
+    document.documentElement.lang = resolved;
+    localizePage();
 }
 
 // ── Per-icon visual tuning ──────────────────────────────────────────
@@ -111,27 +784,188 @@ function createIconImg(iconId) {
     return img;
 }
 
+// ── Avatars ─────────────────────────────────────────────────────────
+// createAvatar draws every player picture: a custom avatar the sender
+// supplied, the bundled icon for a known iconId (tuned as above), or
+// initials on a colour for an iconId this receiver doesn't ship, e.g. one
+// added in a newer app version. Voter lists only carry iconIds, so the
+// latest player entry seen for each iconId is kept to draw its voter the
+// same way.
+
+const KNOWN_ICON_IDS = [
+    'accordion', 'axolotl', 'bonsai', 'butterfly', 'cactus', 'cuckoo_clock',
+    'disco_ball', 'dumpster_fire', 'goldfish_bag', 'jellyfish', 'mushroom',
+    'penguin', 'rubber_duck', 'snail', 'telescope', 'ufo'
+];
+// Theme colours for generated avatars; a custom avatar's palette may also be a hex colour
+const AVATAR_PALETTE = ['pink', 'lime', 'yellow', 'orange', 'teal'];
+
+const avatarPlayers = new Map();  // iconId → latest { name, iconId, avatar } seen
+
+/**
+ * Create the picture for a player ({ iconId, name, avatar? }), or for a
+ * bare { iconId } from a voter list
+ */
+function createAvatar(player) {
+    if (player.name !== undefined) {
+        // Results entries usually leave the avatar out; keep the one the lobby sent
+        const previous = avatarPlayers.get(player.iconId);
+        avatarPlayers.set(player.iconId, {
+            name: player.name,
+            iconId: player.iconId,
+            avatar: player.avatar || (previous && previous.avatar)
+        });
+    }
+    const known = avatarPlayers.get(player.iconId) || player;
+    const label = known.name || player.iconId.replace(/_/g, ' ');
+    const fallback = () => createGeneratedAvatar(avatarInitials(label), avatarColor(player.iconId), label);
+
+    if (known.avatar) {
+        const custom = createCustomAvatar(known.avatar, player.iconId, label, fallback);
+        if (custom) return custom;
+        console.warn('Ignoring invalid avatar for', player.iconId, known.avatar);
+    }
+    if (!KNOWN_ICON_IDS.includes(player.iconId)) return fallback();
+
+    const img = createIconImg(player.iconId);
+    img.onerror = () => img.replaceWith(fallback());
+    return img;
+}
+
+/**
+ * A sender-supplied avatar: { dataUri } for an image, or { glyph, palette? }
+ * for a character on a colour. Returns null if it's neither.
+ */
+function createCustomAvatar(avatar, iconId, label, fallback) {
+    if (typeof avatar.dataUri === 'string' && avatar.dataUri.startsWith('data:image/')) {
+        const img = document.createElement('img');
+        img.src = avatar.dataUri;
+        img.alt = label;
+        img.className = 'player-icon avatar-custom';
+        img.style.transform = `scale(${DEFAULT_SIZE_RATIO.toFixed(4)})`;
+        img.onerror = () => img.replaceWith(fallback());
+        return img;
+    }
+    if (typeof avatar.glyph === 'string' && avatar.glyph.trim()) {
+        const glyph = Array.from(avatar.glyph.trim()).slice(0, 2).join('');
+        const palette = avatar.palette;
+        let color = avatarColor(iconId);
+        if (AVATAR_PALETTE.includes(palette)) {
+            color = `var(--halfwit-${palette})`;
+        } else if (/^#[0-9a-f]{3,8}$/i.test(palette)) {
+            color = palette;
+        }
+        return createGeneratedAvatar(glyph, color, label);
+    }
+    return null;
+}
+
+/**
+ * Text on a coloured disc, as an inline SVG so it scales with .player-icon.
+ * The disc matches the visual size of the tuned icons.
+ */
+function createGeneratedAvatar(text, color, label) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('class', 'player-icon avatar-generated');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', label);
+
+    const disc = document.createElementNS(svgNs, 'circle');
+    disc.setAttribute('cx', 50);
+    disc.setAttribute('cy', 50);
+    disc.setAttribute('r', 50 * DEFAULT_SIZE_RATIO);
+    disc.style.fill = color;
+    svg.appendChild(disc);
+
+    const glyph = document.createElementNS(svgNs, 'text');
+    glyph.setAttribute('x', 50);
+    glyph.setAttribute('y', 50);
+    glyph.setAttribute('text-anchor', 'middle');
+    glyph.setAttribute('dominant-baseline', 'central');
+    glyph.setAttribute('font-size', Array.from(text).length > 1 ? 34 : 44);
+    glyph.textContent = text;
+    svg.appendChild(glyph);
+
+    return svg;
+}
+
+/**
+ * "Ann" → "A", "Big Al" → "BA", "space_whale" → "SW"
+ */
+function avatarInitials(label) {
+    const words = label.split(/[\s_]+/).filter(Boolean);
+    if (words.length === 0) return '?';
+    const first = Array.from(words[0])[0];
+    const last = words.length > 1 ? Array.from(words[words.length - 1])[0] : '';
+    return (first + last).toLocaleUpperCase(currentLocale);
+}
+
+/**
+ * The same palette colour for an iconId every time
+ */
+function avatarColor(iconId) {
+    let hash = 0;
+    for (const ch of iconId) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    return `var(--halfwit-${AVATAR_PALETTE[hash % AVATAR_PALETTE.length]})`;
+}
+
 /**
- * Create a player card element
+ * Create a player card element, keyed for syncPlayerList
  */
-function createPlayerCard(player) {
+function createPlayerCard(player, key) {
     const card = document.createElement('div');
-    card.className = 'player-card' + (player.isHost ? ' host' : '');
+    card.className = 'player-card';
+    card.setAttribute('data-player-id', key);
 
     const icon = document.createElement('span');
     icon.className = 'icon';
-    icon.appendChild(createIconImg(player.iconId));
 
     const name = document.createElement('span');
     name.className = 'name';
-    name.textContent = player.name;
+
+    const badge = document.createElement('span');
+    badge.className = 'status-badge';
 
     card.appendChild(icon);
     card.appendChild(name);
+    card.appendChild(badge);
 
+    updatePlayerCard(card, player);
     return card;
 }
 
+const cardAvatarKeys = new WeakMap();  // Player card → what its avatar was drawn from
+
+/**
+ * Bring a player card in line with the latest lobby entry for its player
+ */
+function updatePlayerCard(card, player) {
+    card.classList.toggle('host', !!player.isHost);
+
+    // Redraw the avatar only when something it's drawn from changes
+    const icon = card.querySelector('.icon');
+    const avatarKey = JSON.stringify([player.iconId, player.name, player.avatar || null]);
+    if (cardAvatarKeys.get(card) !== avatarKey) {
+        cardAvatarKeys.set(card, avatarKey);
+        icon.innerHTML = '';
+        icon.appendChild(createAvatar(player));
+    }
+    card.querySelector('.name').textContent = player.name;
+
+    // Unknown statuses from newer senders just show no badge
+    const status = PLAYER_STATUSES.includes(player.status) ? player.status : null;
+    PLAYER_STATUSES.forEach(value => card.classList.toggle('status-' + value, value === status));
+    const badge = card.querySelector('.status-badge');
+    badge.style.display = status ? '' : 'none';
+    if (status) {
+        badge.setAttribute('data-status', status);
+        badge.setAttribute('data-i18n', 'lobby.' + status);
+        localizeElement(badge);
+    }
+}
+
 /**
  * Create a leaderboard entry element
  */
@@ -142,11 +976,11 @@ function createLeaderboardEntry(player, showRoundScore = true, highlightTotalSco
 
     const rank = document.createElement('span');
     rank.className = 'rank';
-    rank.textContent = '#' + player.rank;
+    rank.textContent = t('score.rank', { rank: player.rank });
 
     const icon = document.createElement('span');
     icon.className = 'icon';
-    icon.appendChild(createIconImg(player.iconId));
+    icon.appendChild(createAvatar(player));
 
     const info = document.createElement('div');
     info.className = 'player-info';
@@ -165,14 +999,13 @@ function createLeaderboardEntry(player, showRoundScore = true, highlightTotalSco
         // Large round score in pink (e.g., "+2")
         const roundScore = document.createElement('div');
         roundScore.className = 'round-score';
-        roundScore.textContent = '+' + player.roundScore;
+        roundScore.textContent = '+' + formatNumber(player.roundScore);
         scoreSection.appendChild(roundScore);
 
         // Pre-create total score element (hidden) for crossfade during reorder
         const totalScoreReplace = document.createElement('div');
         totalScoreReplace.className = 'total-score-replace';
-        const pts = player.totalScore === 1 ? 'Pt' : 'Pts';
-        totalScoreReplace.textContent = player.totalScore + ' ' + pts;
+        totalScoreReplace.textContent = t('score.points', { count: player.totalScore });
         scoreSection.appendChild(totalScoreReplace);
     }
 
@@ -180,8 +1013,7 @@ function createLeaderboardEntry(player, showRoundScore = true, highlightTotalSco
         // Final game results: just "X Pts"
         const totalScore = document.createElement('div');
         totalScore.className = 'total-score highlighted';
-        const points = player.totalScore === 1 ? 'Pt' : 'Pts';
-        totalScore.textContent = player.totalScore + ' ' + points;
+        totalScore.textContent = t('score.points', { count: player.totalScore });
         scoreSection.appendChild(totalScore);
     }
 
@@ -199,7 +1031,7 @@ function createLeaderboardEntry(player, showRoundScore = true, highlightTotalSco
 function createVoterIcon(iconId, isAbstain = false) {
     const icon = document.createElement('span');
     icon.className = isAbstain ? 'abstain-icon' : 'voter-icon';
-    icon.appendChild(createIconImg(iconId));
+    icon.appendChild(createAvatar({ iconId: iconId }));
     return icon;
 }
 
@@ -224,126 +1056,1174 @@ function setTwoColumnHeight(leaderboard, playerCount) {
     });
 }
 
-/**
- * Handle incoming game messages
- */
-function handleMessage(message) {
-    console.log('Received message:', message);
+// ── Matchups ────────────────────────────────────────────────────────
+// A matchup puts two or more answers up for a vote. Senders list them in
+// `answers`; the older answer1/answer2 and player1…/player2… fields still
+// work for two-way matchups. The voting and results screens keep the first
+// card in index.html as a template and clone it for every extra answer.
 
-    try {
-        const data = JSON.parse(message);
+// Border colour of each answer, in order (repeating past four)
+const ANSWER_COLORS = ['pink', 'lime', 'yellow', 'orange'];
 
-        switch (data.type) {
-            case 'lobby':
-                updateLobbyScreen(data);
-                showScreen('lobby');
-                break;
+function answerColor(index) {
+    return 'var(--halfwit-' + ANSWER_COLORS[index % ANSWER_COLORS.length] + ')';
+}
 
-            case 'tutorial':
-                startTutorial(data);
-                break;
+/**
+ * A matchup_voting's answer texts
+ */
+function votingAnswers(data) {
+    return data.answers || [data.answer1, data.answer2];
+}
 
-            case 'skip_tutorial':
-                console.log('Received skip_tutorial, clearing tutorial');
-                clearTutorialTimeouts();
-                var loadingScreenForSkip = screens.loading;
-                if (loadingScreenForSkip) {
-                    loadingScreenForSkip.querySelector('.status').textContent = 'Loading Round 1...';
-                }
-                showScreen('loading');
-                break;
+/**
+ * A matchup_results' answers as { playerName, answer, votes, totalPoints,
+ * getsBonus, voters }
+ */
+function resultAnswers(data) {
+    if (data.answers) return data.answers;
+    return [1, 2].map(n => ({
+        playerName: data['player' + n + 'Name'],
+        answer: data['answer' + n],
+        votes: data['player' + n + 'Votes'],
+        totalPoints: data['player' + n + 'TotalPoints'],
+        getsBonus: !!data['player' + n + 'GetsBonus'],
+        voters: data['player' + n + 'Voters'],
+        audienceVotes: data['player' + n + 'AudienceVotes']
+    }));
+}
 
-            case 'loading':
-                updateLoadingScreen(data);
-                showScreen('loading');
-                break;
+/**
+ * Work out each answer's outcome. Every answer with the most votes wins,
+ * including ties, as long as abstaining didn't get more. The bonus is the
+ * sender's getsBonus, or else goes to an answer that beat every other
+ * answer and the abstainers outright.
+ */
+function scoreMatchup(answers, abstainVotes) {
+    const maxVotes = Math.max(abstainVotes, ...answers.map(a => a.votes));
+    const leaders = answers.filter(a => a.votes === maxVotes);
+    const outright = leaders.length === 1 && abstainVotes < maxVotes ? leaders[0] : null;
+    return {
+        maxVotes: maxVotes,
+        outcomes: answers.map(answer => ({
+            winner: answer.votes === maxVotes,
+            bonus: answer.getsBonus !== undefined ? answer.getsBonus : answer === outright,
+            points: answer.totalPoints !== undefined ? answer.totalPoints : answer.votes
+        }))
+    };
+}
 
-            case 'loading_round':
-                // Don't interrupt the tutorial with loading_round rebroadcasts
-                if (tutorialRunning && currentScreen === 'tutorial') {
-                    console.log('Tutorial running, ignoring loading_round');
-                    break;
-                }
-                updateLoadingRoundScreen(data);
-                showScreen('loading');
-                break;
+/**
+ * Give `container` one card per answer, numbered with `prefix` (answer-1,
+ * answer-2, …) and coloured in turn. Extra cards are copies of the first,
+ * each after a copy of the container's VS badge if it has one.
+ */
+function syncAnswerCards(container, cardClass, prefix, count) {
+    const cards = Array.from(container.querySelectorAll(':scope > .' + cardClass));
+    const separator = container.querySelector(':scope > .vs-badge');
+    while (cards.length < count) {
+        if (separator) container.appendChild(separator.cloneNode(true));
+        const card = cards[0].cloneNode(true);
+        container.appendChild(card);
+        cards.push(card);
+    }
+    while (cards.length > Math.max(count, 1)) {
+        const card = cards.pop();
+        const previous = card.previousElementSibling;
+        if (previous && previous.classList.contains('vs-badge')) previous.remove();
+        card.remove();
+    }
 
-            case 'round_countdown':
-                updateCountdownScreen(data);
-                showScreen('countdown');
-                break;
+    const numbered = new RegExp('^' + prefix + '\\d+$');
+    cards.forEach((card, index) => {
+        Array.from(card.classList).filter(name => numbered.test(name)).forEach(name => card.classList.remove(name));
+        card.classList.add(prefix + (index + 1));
+        card.style.setProperty('--answer-color', answerColor(index));
+    });
 
-            case 'answering':
-                updateAnsweringScreen(data);
-                showScreen('answering');
-                break;
+    // Three or four cards share the row; five or more wrap
+    container.classList.toggle('multi', count >= 3);
+    container.classList.toggle('wrap', count >= 5);
+    return cards;
+}
 
-            case 'voting_transition':
-                showScreen('votingTransition');
-                break;
+/**
+ * Show an answer's share (0–1) of the audience vote, or hide its bar when
+ * `share` is null. With `fromZero` the bar grows from empty once the screen
+ * is showing; otherwise it moves from its current width.
+ */
+function setAudienceBar(bar, share, fromZero) {
+    bar.style.display = share === null ? 'none' : '';
+    if (share === null) return;
+
+    bar.querySelector('.audience-bar-label').textContent = t('results.audience', { percent: formatPercent(share) });
+    const fill = bar.querySelector('.audience-bar-fill');
+    if (!fromZero) {
+        fill.style.width = (share * 100) + '%';
+        return;
+    }
+    fill.style.width = '0';
+    requestAnimationFrame(() => {
+        void fill.offsetWidth; // Lay out the empty bar first so the width transitions
+        fill.style.width = (share * 100) + '%';
+    });
+}
 
-            case 'matchup_voting':
-                updateMatchupVotingScreen(data);
-                showScreen('matchupVoting');
-                break;
+// ── Vote Tray ───────────────────────────────────────────────────────
+// vote_cast drops each voter's icon into a tray on the matchup voting screen
+// as their vote comes in. Unless the game is anonymous, the icon is ringed
+// in the colour of the answer it went to. On matchup_results the same icons
+// move to the answers they voted for, flying there if the tray was on screen.
 
-            case 'matchup_results':
-                updateMatchupResultsScreen(data);
-                showScreen('matchupResults');
-                break;
+const VOTE_FLIGHT_MS = 600;
 
-            case 'round_results':
-                updateRoundResultsScreen(data);
-                showScreen('roundResults');
-                break;
+// The matchup being voted on, and its votes by voter: { iconId, side, element }
+let voteTray = { promptText: null, votes: new Map(), reported: 0, answerCount: 2 };
 
-            case 'game_results':
-                updateGameResultsScreen(data);
-                showScreen('gameResults');
-                break;
+// Set by the lobby's anonymousAnswers: the tray doesn't show sides
+let anonymousGame = false;
 
-            case 'end':
-                showScreen('end');
-                setTimeout(() => stopLobbyMusic(), 2000);
-                break;
+function resetVoteTray(promptText) {
+    voteTray = { promptText: promptText, votes: new Map(), reported: 0, answerCount: voteTray.answerCount };
+    screens.matchupVoting.querySelector('.vote-tray').innerHTML = '';
+}
 
-            case 'music_start':
-                startLobbyMusic(data.fadeInDurationMs || 2000);
-                break;
+/**
+ * Show how many votes are in: the host's count, or the tray's if it is ahead
+ */
+function updateVoteCount() {
+    screens.matchupVoting.querySelector('.votes-received').textContent =
+        formatNumber(Math.max(voteTray.reported, voteTray.votes.size));
+}
 
-            case 'music_fade_stop':
-                fadeStopLobbyMusic(data.fadeDurationMs || 2000);
-                break;
+/**
+ * Add a vote_cast to the tray. A second vote from the same voter only
+ * changes its side.
+ */
+function castVote(data, senderId) {
+    const side = data.side;
+    if (side !== undefined && !(Number.isInteger(side) && side >= 1 && side <= voteTray.answerCount)) {
+        sendMessageError(senderId, data.type, ['side: expected a number from 1 to ' + voteTray.answerCount]);
+        return;
+    }
+    if (currentScreen !== 'matchupVoting') {
+        console.log('Not on the voting screen, ignoring vote_cast');
+        return;
+    }
 
-            case 'music_stop':
-                stopLobbyMusic();
-                break;
+    const voterKey = data.voterId || data.iconId;
+    let vote = voteTray.votes.get(voterKey);
+    if (!vote) {
+        const element = createVoterIcon(data.iconId);
+        element.classList.add('tray-icon');
+        screens.matchupVoting.querySelector('.vote-tray').appendChild(element);
+        vote = { iconId: data.iconId, side: undefined, element: element };
+        voteTray.votes.set(voterKey, vote);
+    }
+    if (side !== undefined) vote.side = side;
 
-            case 'play_countdown_bell':
-                playSfx('countdown_bell');
-                break;
+    // Ring the icon in its answer's colour
+    const showSide = vote.side !== undefined && !anonymousGame;
+    vote.element.classList.toggle('has-side', showSide);
+    vote.element.style.setProperty('--answer-color', showSide ? answerColor(vote.side - 1) : '');
+    updateVoteCount();
+}
 
-            case 'play_countdown':
-                playSfx('countdown_bell');
-                break;
+/**
+ * Take the tray's icons for this matchup_results, by icon id
+ */
+function takeTrayIcons(promptText) {
+    const icons = new Map();
+    if (voteTray.promptText === promptText) {
+        voteTray.votes.forEach(vote => icons.set(vote.iconId, vote.element));
+        voteTray.votes = new Map();
+    }
+    return icons;
+}
 
-            case 'stop_countdown':
-                stopSfx();
-                break;
+/**
+ * Fill a results voter list, moving in the tray's icon for each voter that
+ * has one. Their positions in the tray go into `flights` (when given).
+ */
+function placeVoterIcons(container, iconIds, isAbstain, trayIcons, flights) {
+    container.innerHTML = '';
+    iconIds.forEach(iconId => {
+        let icon = trayIcons.get(iconId);
+        if (icon) {
+            trayIcons.delete(iconId);
+            if (flights) flights.push({ element: icon, from: icon.getBoundingClientRect() });
+            icon.className = isAbstain ? 'abstain-icon' : 'voter-icon';
+        } else {
+            icon = createVoterIcon(iconId, isAbstain);
+        }
+        container.appendChild(icon);
+    });
+}
 
-            case 'play_bell':
-                playSfx('bell');
-                break;
+/**
+ * Slide moved icons from their old place in the tray to their new one
+ */
+function flyVoterIcons(flights) {
+    if (flights.length === 0 || accessibility.reducedMotion) return;
+    // Measure once the results screen is showing
+    requestAnimationFrame(() => {
+        flights.forEach(flight => {
+            const to = flight.element.getBoundingClientRect();
+            const style = flight.element.style;
+            style.transition = 'none';
+            style.transform = `translate(${flight.from.left - to.left}px, ${flight.from.top - to.top}px)`;
+            void flight.element.offsetWidth; // Start from the tray before transitioning
+            style.transition = `transform ${VOTE_FLIGHT_MS}ms ease-in-out`;
+            style.transform = '';
+        });
+    });
+}
 
-            case 'play_vote_tick':
-                playSfx('vote', 1.6);
-                break;
+// ── Lobby Player List ───────────────────────────────────────────────
+// Lobby cards are keyed by player and updated in place, so each lobby
+// message only animates the players who actually joined or left.
+
+const PLAYER_STATUSES = ['ready', 'idle', 'disconnected'];
+
+/**
+ * Keys for a lobby's players, in order: peerId, or name for senders that
+ * don't send one. Repeats get their occurrence appended ("Sam", "Sam#2") so
+ * two players with the same name still get a card each.
+ */
+function lobbyPlayerKeys(players) {
+    const seen = new Map();
+    return players.map(player => {
+        const key = player.peerId || player.name;
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        return count > 1 ? key + '#' + count : key;
+    });
+}
+
+/**
+ * Diff the lobby's player cards against the latest player list: update
+ * cards that stay, slide new ones in, fade departed ones out and keep the
+ * order the sender gave. Cards only animate while the lobby is showing.
+ */
+function syncPlayerList(list, players) {
+    const animate = currentScreen === 'lobby';
+    const cards = new Map();
+    list.querySelectorAll('.player-card:not(.leaving)').forEach(card => {
+        cards.set(card.getAttribute('data-player-id'), card);
+    });
+
+    // Players missing from the list have left
+    const keys = lobbyPlayerKeys(players);
+    const present = new Set(keys);
+    cards.forEach((card, key) => {
+        if (present.has(key)) return;
+        cards.delete(key);
+        if (!animate || accessibility.reducedMotion) {
+            card.remove();
+            return;
+        }
+        card.classList.add('leaving');
+        card.addEventListener('animationend', () => card.remove(), { once: true });
+    });
+
+    let cursor = list.firstElementChild;
+    players.forEach((player, index) => {
+        const key = keys[index];
+        let card = cards.get(key);
+        if (card) {
+            cards.delete(key);
+            updatePlayerCard(card, player);
+        } else {
+            card = createPlayerCard(player, key);
+            if (animate) {
+                card.classList.add('joining');
+                card.addEventListener('animationend', () => card.classList.remove('joining'), { once: true });
+            }
+        }
+
+        // Departing cards stay where they were until they finish leaving
+        while (cursor && cursor.classList.contains('leaving')) cursor = cursor.nextElementSibling;
+        if (card === cursor) {
+            cursor = cursor.nextElementSibling;
+        } else {
+            list.insertBefore(card, cursor);
+        }
+    });
+}
+
+// ── Join Panel ──────────────────────────────────────────────────────
+// The lobby shows the join code in large type beside a QR code of the join
+// URL (drawn by qrcode.js). Once every seat is taken it shrinks to a badge
+// in the corner, which still shows the code for audience members.
+
+let joinQrText = null;  // What the lobby's QR code currently encodes
+
+/**
+ * Show the join code and QR code from a lobby message, or hide the panel
+ * when it has neither joinCode nor joinUrl
+ */
+function updateJoinPanel(panel, data) {
+    const qrText = data.joinUrl || data.joinCode;
+    panel.style.display = qrText ? '' : 'none';
+    if (!qrText) return;
+
+    panel.querySelector('.join-code').textContent = data.joinCode || '';
+    panel.querySelector('.join-code-row').style.display = data.joinCode ? '' : 'none';
+    panel.querySelector('.join-url').textContent = data.joinUrl || '';
+    panel.classList.toggle('collapsed', data.players.length >= data.maxPlayers);
+
+    // Redraw only when the code or URL changes, not on every player update
+    if (qrText !== joinQrText) {
+        joinQrText = qrText;
+        renderQrCode(panel.querySelector('.join-qr'), qrText);
+    }
+}
+
+/**
+ * Draw text as a QR code SVG inside container, with the standard four-module
+ * quiet zone. Text too long for a QR code leaves the container empty.
+ */
+function renderQrCode(container, text) {
+    container.innerHTML = '';
+
+    let qr;
+    try {
+        qr = encodeQrCode(text);
+    } catch (e) {
+        console.warn('Could not draw QR code:', e.message);
+        return;
+    }
+
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const dimension = qr.size + 8;
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${dimension} ${dimension}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+
+    const background = document.createElementNS(svgNs, 'rect');
+    background.setAttribute('width', dimension);
+    background.setAttribute('height', dimension);
+    background.setAttribute('fill', '#FFFFFF');
+    svg.appendChild(background);
+
+    let pathData = '';
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) pathData += `M${x + 4} ${y + 4}h1v1h-1z`;
+        });
+    });
+    const path = document.createElementNS(svgNs, 'path');
+    path.setAttribute('d', pathData);
+    path.setAttribute('fill', '#000000');
+    svg.appendChild(path);
+
+    container.appendChild(svg);
+}
+
+// ── Message Schemas ─────────────────────────────────────────────────
+// Declarative description of every message the sender may send. Each
+// schema maps a field name to its expected type; handleMessage rejects a
+// message that doesn't match before any screen is touched, and replies to
+// the sender with a `message_error` describing what was wrong. A null field
+// counts as left out: optional ones are removed before the message is
+// handled, so handlers only need to check for undefined.
+
+const req = type => ({ type: type, optional: false });
+const opt = type => ({ type: type, optional: true });
+const listOf = items => ({ type: 'array', items: items, optional: false });
+const optListOf = (items, minItems) => ({ type: 'array', items: items, optional: true, minItems: minItems });
+// Optional on its own, but at least one field of the same group must be present
+const oneOf = (group, type) => ({ type: type, optional: true, group: group });
+// Required unless the message has `field` instead (e.g. the two-way matchup fields and `answers`)
+const reqUnless = (field, type) => ({ type: type, optional: false, unless: field });
+const listUnless = (field, items) => ({ type: 'array', items: items, optional: false, unless: field });
+
+// Timed screens take either a per-tick secondsRemaining or a deadline/duration
+// for the receiver to count down locally (see runScreenTimer)
+const TIMER_FIELDS = {
+    secondsRemaining: oneOf('timer', 'number'),
+    deadline: oneOf('timer', 'number'),
+    durationMs: oneOf('timer', 'number'),
+    serverTime: opt('number')
+};
+
+const LOBBY_PLAYER_SCHEMA = {
+    name: req('string'),
+    iconId: req('string'),
+    avatar: opt('object'),
+    peerId: opt('string'),
+    isHost: opt('boolean'),
+    status: opt('string')
+};
+
+const ROUND_RESULTS_PLAYER_SCHEMA = {
+    name: req('string'),
+    iconId: req('string'),
+    avatar: opt('object'),
+    peerId: opt('string'),
+    roundScore: req('number'),
+    totalScore: req('number')
+};
+
+// One answer of an N-way matchup_results
+const MATCHUP_ANSWER_SCHEMA = {
+    playerName: req('string'),
+    answer: req('string'),
+    votes: req('number'),
+    totalPoints: opt('number'),
+    getsBonus: opt('boolean'),
+    voters: listOf('string'),
+    audienceVotes: opt('number')
+};
+
+const GAME_RESULTS_PLAYER_SCHEMA = {
+    name: req('string'),
+    iconId: req('string'),
+    avatar: opt('object'),
+    peerId: opt('string'),
+    rank: req('number'),
+    totalScore: req('number')
+};
+
+const MESSAGE_SCHEMAS = {
+    lobby: {
+        gameName: req('string'),
+        players: listOf(LOBBY_PLAYER_SCHEMA),
+        maxPlayers: req('number'),
+        totalRounds: req('number'),
+        answerTimeSeconds: req('number'),
+        anonymousAnswers: opt('boolean'),
+        audienceCount: opt('number'),
+        joinCode: opt('string'),
+        joinUrl: opt('string'),
+        locale: opt('string')
+    },
+    tutorial: {
+        totalRounds: opt('number'),
+        answerTimeSeconds: opt('number'),
+        cue: opt('string'),
+        elapsedMs: opt('number')
+    },
+    skip_tutorial: {},
+    loading: {},
+    loading_round: {
+        roundNumber: req('number')
+    },
+    round_countdown: Object.assign({
+        roundNumber: req('number'),
+        totalRounds: req('number')
+    }, TIMER_FIELDS),
+    answering: Object.assign({
+        roundNumber: req('number'),
+        answersReceived: req('number'),
+        totalPlayers: req('number')
+    }, TIMER_FIELDS),
+    voting_transition: {},
+    vote_cast: {
+        iconId: req('string'),
+        voterId: opt('string'),
+        side: opt('number')
+    },
+    matchup_voting: Object.assign({
+        promptText: req('string'),
+        // Either answers (two or more) or the two-way answer1/answer2
+        answers: optListOf('string', 2),
+        answer1: reqUnless('answers', 'string'),
+        answer2: reqUnless('answers', 'string'),
+        votesReceived: req('number'),
+        eligibleVoters: req('number'),
+        matchupNumber: req('number'),
+        totalMatchups: req('number'),
+        audienceVotes: opt('number')
+    }, TIMER_FIELDS),
+    matchup_results: {
+        promptText: req('string'),
+        // Either answers (two or more) or the two-way player1…/player2… fields
+        answers: optListOf(MATCHUP_ANSWER_SCHEMA, 2),
+        player1Name: reqUnless('answers', 'string'),
+        answer1: reqUnless('answers', 'string'),
+        player1Votes: reqUnless('answers', 'number'),
+        player1TotalPoints: opt('number'),
+        player1GetsBonus: opt('boolean'),
+        player1Voters: listUnless('answers', 'string'),
+        player1AudienceVotes: opt('number'),
+        player2Name: reqUnless('answers', 'string'),
+        answer2: reqUnless('answers', 'string'),
+        player2Votes: reqUnless('answers', 'number'),
+        player2TotalPoints: opt('number'),
+        player2GetsBonus: opt('boolean'),
+        player2Voters: listUnless('answers', 'string'),
+        player2AudienceVotes: opt('number'),
+        abstainVoters: listOf('string')
+    },
+    round_results: {
+        roundNumber: req('number'),
+        totalRounds: req('number'),
+        players: listOf(ROUND_RESULTS_PLAYER_SCHEMA)
+    },
+    game_results: {
+        players: listOf(GAME_RESULTS_PLAYER_SCHEMA)
+    },
+    end: {},
+    music_start: {
+        fadeInDurationMs: opt('number')
+    },
+    music_play: {
+        track: req('string'),
+        fadeMs: opt('number')
+    },
+    music_fade_stop: {
+        fadeDurationMs: opt('number')
+    },
+    music_stop: {},
+    play_countdown_bell: {},
+    play_countdown: {},
+    stop_countdown: {},
+    play_bell: {},
+    play_vote_tick: {},
+    set_audio_prefs: {
+        musicVolume: opt('number'),
+        sfxVolume: opt('number'),
+        muted: opt('boolean'),
+        clockTicks: opt('boolean')
+    },
+    set_narrator: {
+        enabled: opt('boolean'),
+        voice: opt('string'),
+        rate: opt('number')
+    },
+    set_accessibility: {
+        enabled: opt('boolean'),
+        reducedMotion: opt('boolean'),
+        largeText: opt('boolean'),
+        highContrast: opt('boolean'),
+        cueLabels: opt('boolean')
+    },
+    set_theme: {
+        theme: opt('string'),
+        colors: opt('object'),
+        background: opt('string'),
+        font: opt('string'),
+        fontUrl: opt('string'),
+        images: opt('object')
+    },
+    play_sfx: {
+        name: req('string'),
+        rate: opt('number'),
+        volume: opt('number')
+    },
+    pause: {},
+    resume: {},
+    request_state: {},
+    reset_state: {},
+    export_recording: {},
+    hello: {
+        protocolVersion: req('number'),
+        minReceiverProtocolVersion: opt('number'),
+        appVersion: opt('string'),
+        role: opt('string'),
+        locale: opt('string')
+    }
+};
+
+/**
+ * Check a value against a single type name ('string', 'number', 'boolean',
+ * 'array' or 'object')
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'number': return typeof value === 'number' && isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate an object against a field schema, collecting readable errors
+ * like "players[2].iconId: expected string, got undefined"
+ */
+function validateFields(value, schema, path, errors) {
+    const groups = {};
+
+    Object.keys(schema).forEach(key => {
+        const spec = schema[key];
+        const fieldPath = path ? path + '.' + key : key;
+        const fieldValue = value[key];
+
+        if (spec.group) {
+            groups[spec.group] = groups[spec.group] || { fields: [], present: false };
+            groups[spec.group].fields.push(fieldPath);
+        }
+
+        if (fieldValue === undefined || fieldValue === null) {
+            delete value[key];
+            if (spec.unless && value[spec.unless] !== undefined && value[spec.unless] !== null) {
+                return;
+            }
+            if (!spec.optional) {
+                errors.push(fieldPath + ': required ' + spec.type + ' is missing' +
+                    (spec.unless ? ' (or send ' + spec.unless + ')' : ''));
+            }
+            return;
+        }
+        if (spec.group) {
+            groups[spec.group].present = true;
+        }
+        if (!matchesType(fieldValue, spec.type)) {
+            errors.push(fieldPath + ': expected ' + spec.type + ', got ' + describeType(fieldValue));
+            return;
+        }
+        if (spec.type === 'array' && spec.minItems && fieldValue.length < spec.minItems) {
+            errors.push(fieldPath + ': expected at least ' + spec.minItems + ' items, got ' + fieldValue.length);
+            return;
+        }
+        if (spec.type === 'array' && spec.items) {
+            fieldValue.forEach((item, index) => {
+                const itemPath = fieldPath + '[' + index + ']';
+                if (typeof spec.items === 'string') {
+                    if (!matchesType(item, spec.items)) {
+                        errors.push(itemPath + ': expected ' + spec.items + ', got ' + describeType(item));
+                    }
+                } else if (!matchesType(item, 'object')) {
+                    errors.push(itemPath + ': expected object, got ' + describeType(item));
+                } else {
+                    validateFields(item, spec.items, itemPath, errors);
+                }
+            });
+        }
+    });
+
+    Object.keys(groups).forEach(name => {
+        if (!groups[name].present) {
+            errors.push(groups[name].fields.join(' | ') + ': one is required');
+        }
+    });
+}
+
+/**
+ * Validate a parsed message against its schema.
+ * Returns a list of error strings (empty when the message is valid).
+ */
+function validateMessage(data) {
+    if (!matchesType(data, 'object')) {
+        return ['message: expected object, got ' + describeType(data)];
+    }
+    if (typeof data.type !== 'string') {
+        return ['type: required string is missing'];
+    }
+    const schema = MESSAGE_SCHEMAS[data.type];
+    if (!schema) {
+        return ['type: unknown message type "' + data.type + '"'];
+    }
+    const errors = [];
+    validateFields(data, schema, '', errors);
+    return errors;
+}
+
+/**
+ * Send a JSON message to a single sender (or all senders when senderId is
+ * undefined) over the Half-Wit namespace
+ */
+function sendToSender(senderId, payload) {
+    if (!castContext) {
+        // Expected in replay mode, where no Cast session is started
+        console.log('Receiver not started, not sending:', payload.type);
+        return;
+    }
+    try {
+        castContext.sendCustomMessage(HALFWIT_NAMESPACE, senderId, JSON.stringify(payload));
+    } catch (e) {
+        console.error('Error sending message to sender:', e);
+    }
+}
+
+/**
+ * Notify every connected sender of something that happened on the TV
+ * (screen_shown, tutorial_complete, results_reveal_complete, sfx_ready), so
+ * the host app can move the game on in step with the receiver.
+ */
+function broadcastEvent(type, fields) {
+    sendToSender(undefined, Object.assign({ type: type }, fields));
+}
+
+/**
+ * Tell the sender that one of its messages was rejected
+ */
+function sendMessageError(senderId, messageType, errors) {
+    console.warn('Rejected message:', messageType, errors);
+    sendToSender(senderId, {
+        type: 'message_error',
+        messageType: messageType,
+        errors: errors
+    });
+}
+
+// ── Screen State Cache ──────────────────────────────────────────────
+// The receiver keeps the last payload that drove each screen, so a sender
+// that reconnects mid-game (e.g. the host's phone dropping off Wi-Fi) finds
+// the TV where it left it instead of back on "Connecting...". The sender can
+// fetch the cache with `request_state`, then either leave the screen as is,
+// replace it by sending a fresh message, or clear it with `reset_state`.
+
+// Cached state older than this is assumed to belong to an abandoned session
+const STATE_CACHE_MAX_AGE_MS = 15 * 60 * 1000;
+
+// Last payload per screen, and which screen's payload is on the TV
+let stateCache = { screens: {}, current: null };
+
+/**
+ * Cache a handled message if it changed what is on screen
+ */
+function rememberScreenState(data) {
+    const screenName = screenForMessage[data.type];
+    if (!screenName || !screenRegistry[screenName].cacheState) return;
+    // e.g. loading_round is ignored while the tutorial is running
+    if (currentScreen !== screenName) return;
+    const entry = { messageType: data.type, data: data, receivedAt: Date.now() };
+    // A bare durationMs counts from arrival, so keep the deadline it resolved to
+    if (data.durationMs !== undefined && data.deadline === undefined && data.serverTime === undefined) {
+        entry.localDeadline = resolveLocalDeadline(data);
+    }
+    stateCache.screens[screenName] = entry;
+    stateCache.current = screenName;
+    syncCachedCountdown();
+}
+
+/**
+ * Keep the cached deadline of the running countdown in step with pauses,
+ * so a restored timer doesn't lose the time the game spent paused
+ */
+function syncCachedCountdown() {
+    if (!activeCountdown) return;
+    const entry = stateCache.screens[activeCountdown.screen];
+    if (!entry || entry.localDeadline === undefined) return;
+    entry.localDeadline = activeCountdown.deadline;
+    if (activeCountdown.remainingMs !== undefined) {
+        entry.remainingMs = activeCountdown.remainingMs;
+    } else {
+        delete entry.remainingMs;
+    }
+}
+
+function clearStateCache() {
+    stateCache = { screens: {}, current: null };
+}
+
+/**
+ * Build the state_snapshot reply to request_state
+ */
+function buildStateSnapshot() {
+    const now = Date.now();
+    const cachedScreens = {};
+    Object.keys(stateCache.screens).forEach(name => {
+        const entry = stateCache.screens[name];
+        cachedScreens[name] = { messageType: entry.messageType, ageMs: now - entry.receivedAt, data: entry.data };
+    });
+    const timelines = [];
+    Object.keys(screenTimelines).forEach(screenName => {
+        screenTimelines[screenName].forEach(timeline => {
+            timelines.push({
+                screen: screenName,
+                timeline: timeline.name,
+                state: timeline.state,
+                elapsedMs: timeline.elapsed,
+                durationMs: timeline.duration
+            });
+        });
+    });
+    return {
+        type: 'state_snapshot',
+        currentScreen: currentScreen,
+        cachedScreen: stateCache.current,
+        screens: cachedScreens,
+        paused: gamePaused,
+        timelines: timelines,
+        audioPrefs: audioPrefs,
+        narrator: narratorSettings,
+        locale: currentLocale,
+        theme: activeTheme.name,
+        accessibility: accessibility
+    };
+}
+
+/**
+ * Make sure the cached game state is on the TV, redrawing it if another
+ * screen (e.g. the end screen after the last sender dropped) replaced it.
+ * Returns false when there is no usable state to resume.
+ */
+function restoreScreenState() {
+    const entry = stateCache.current && stateCache.screens[stateCache.current];
+    if (!entry) return false;
+
+    // Still on screen, e.g. another sender kept the session going
+    if (currentScreen === stateCache.current) return true;
+
+    if (Date.now() - entry.receivedAt > STATE_CACHE_MAX_AGE_MS) return false;
+
+    console.log('Restoring cached screen:', stateCache.current);
+    // Redraw from a copy so the renderer can't annotate the cached payload
+    const data = JSON.parse(JSON.stringify(entry.data));
+    // The tutorial picks up where it would have got to by now
+    if (entry.messageType === 'tutorial') {
+        data.elapsedMs = (data.elapsedMs || 0) + Date.now() - entry.receivedAt;
+    }
+    // Timers carry on from the original deadline instead of starting over
+    if (entry.localDeadline !== undefined) {
+        data.durationMs = entry.remainingMs !== undefined ?
+            entry.remainingMs : Math.max(0, entry.localDeadline - Date.now());
+    }
+    dispatchMessage(data);
+    return true;
+}
+
+// ── Protocol Handshake ──────────────────────────────────────────────
+// receiver_ready tells a newly connected sender which protocol version,
+// message types and features this receiver build supports. The sender
+// answers with `hello` carrying its own version; if either side is too old
+// the TV asks for an update instead of half-working.
+
+// Senders whose hello was incompatible; their other messages are dropped
+const incompatibleSenders = new Set();
+
+/**
+ * Build the receiver_ready handshake sent to each sender on connect
+ */
+function buildReceiverReady(senderId, hasState) {
+    return {
+        type: 'receiver_ready',
+        protocolVersion: PROTOCOL_VERSION,
+        minSenderProtocolVersion: MIN_SENDER_PROTOCOL_VERSION,
+        messageTypes: Object.keys(MESSAGE_SCHEMAS),
+        features: RECEIVER_FEATURES,
+        role: isHost(senderId) ? 'host' : 'spectator',
+        hostSenderId: hostSenderId,
+        hasState: hasState,
+        currentScreen: currentScreen
+    };
+}
+
+/**
+ * Check a sender's hello against this receiver's protocol version
+ */
+function handleHello(data, senderId) {
+    let reason = null;
+    if (data.protocolVersion < MIN_SENDER_PROTOCOL_VERSION) {
+        reason = 'sender_outdated';
+    } else if (data.minReceiverProtocolVersion !== undefined && data.minReceiverProtocolVersion > PROTOCOL_VERSION) {
+        reason = 'receiver_outdated';
+    }
+
+    console.log('Sender hello:', senderId, 'protocol', data.protocolVersion, 'app', data.appVersion, reason || 'compatible');
+
+    // The host picks the language, or the first sender while there is no host
+    if (data.locale !== undefined && (!hostSenderId || isHost(senderId))) {
+        setLocale(data.locale);
+    }
+
+    if (reason) {
+        incompatibleSenders.add(senderId);
+        // A spectator's outdated app mustn't take the host's game off the TV
+        if (!hostSenderId || isHost(senderId)) {
+            showUpdateScreen(reason);
+        }
+    } else {
+        incompatibleSenders.delete(senderId);
+        if (data.role !== undefined) {
+            applySenderRole(senderId, data.role);
+        }
+        // Host may have been left empty while only incompatible senders remained
+        if (hostSenderId === null && !spectatorSenders.has(senderId)) {
+            setHost(senderId, false);
+        }
+    }
+
+    sendToSender(senderId, {
+        type: 'hello_ack',
+        compatible: !reason,
+        reason: reason,
+        protocolVersion: PROTOCOL_VERSION,
+        role: isHost(senderId) ? 'host' : 'spectator',
+        hostSenderId: hostSenderId
+    });
+}
+
+/**
+ * Show the "please update" screen for a version mismatch
+ */
+function showUpdateScreen(reason) {
+    const screen = screens.update;
+    if (reason === 'receiver_outdated') {
+        screen.querySelector('.status').textContent = t('update.receiverStatus');
+        screen.querySelector('.update-detail').textContent = t('update.receiverDetail');
+    } else {
+        screen.querySelector('.status').textContent = t('update.appStatus');
+        screen.querySelector('.update-detail').textContent = t('update.appDetail');
+    }
+    showScreen('update');
+}
+
+// ── Sender Roles ────────────────────────────────────────────────────
+// Only the host's phone drives the TV. The first sender to connect becomes
+// host; any other sender is a read-only spectator that can fetch state but
+// whose control messages are rejected. A sender can also declare its role in
+// `hello`: "spectator" never takes control, and "host" takes over from a
+// sender that only inherited the role (e.g. when the real host reconnects).
+// When the host leaves, the longest-connected non-spectator takes over.
+
+// Messages any connected sender may send
+const READ_ONLY_MESSAGE_TYPES = ['hello', 'request_state'];
+
+// Connected sender ids, oldest first
+let connectedSenders = [];
+let hostSenderId = null;
+// Whether the current host claimed the role in its hello (rather than inheriting it)
+let hostClaimed = false;
+const spectatorSenders = new Set();
+
+function isHost(senderId) {
+    return hostSenderId !== null && senderId === hostSenderId;
+}
+
+function setHost(senderId, claimed) {
+    const previousHostSenderId = hostSenderId;
+    hostSenderId = senderId;
+    hostClaimed = senderId !== null && claimed;
+    if (previousHostSenderId !== senderId) {
+        console.log('Host sender changed:', previousHostSenderId, '->', senderId);
+        broadcastEvent('host_changed', { hostSenderId: senderId, previousHostSenderId: previousHostSenderId });
+    }
+}
+
+/**
+ * The longest-connected sender that hasn't asked to be a spectator and
+ * whose hello wasn't incompatible (its messages would all be dropped)
+ */
+function findNextHost() {
+    const next = connectedSenders.find(id => !spectatorSenders.has(id) && !incompatibleSenders.has(id));
+    return next === undefined ? null : next;
+}
+
+/**
+ * Track a newly connected sender. Returns true if it became the host.
+ */
+function addSender(senderId) {
+    if (connectedSenders.indexOf(senderId) === -1) {
+        connectedSenders.push(senderId);
+    }
+    if (hostSenderId === null) {
+        setHost(senderId, false);
+        return true;
+    }
+    return false;
+}
 
-            default:
-                console.warn('Unknown message type:', data.type);
+/**
+ * Forget a disconnected sender, handing host on if it was the host
+ */
+function removeSender(senderId) {
+    connectedSenders = connectedSenders.filter(id => id !== senderId);
+    spectatorSenders.delete(senderId);
+    incompatibleSenders.delete(senderId);
+    if (isHost(senderId)) {
+        setHost(findNextHost(), false);
+    }
+}
+
+/**
+ * Apply the role a sender asked for in its hello
+ */
+function applySenderRole(senderId, role) {
+    if (role === 'spectator') {
+        spectatorSenders.add(senderId);
+        if (isHost(senderId)) {
+            setHost(findNextHost(), false);
         }
+    } else if (role === 'host') {
+        spectatorSenders.delete(senderId);
+        if (isHost(senderId) || !hostClaimed) {
+            setHost(senderId, true);
+        } else {
+            console.warn('Sender', senderId, 'asked to be host but', hostSenderId, 'already is');
+        }
+    } else {
+        console.warn('Ignoring unknown sender role:', role);
+    }
+}
+
+/**
+ * Handle incoming game messages
+ */
+function handleMessage(message, senderId) {
+    console.log('Received message:', message);
+    recordSessionEvent('message', senderId, message);
+
+    let data;
+    try {
+        data = JSON.parse(message);
     } catch (e) {
         console.error('Error parsing message:', e);
+        sendMessageError(senderId, null, ['message: invalid JSON (' + e.message + ')']);
+        return;
+    }
+
+    const errors = validateMessage(data);
+    if (errors.length > 0) {
+        sendMessageError(senderId, data && typeof data.type === 'string' ? data.type : null, errors);
+        return;
+    }
+
+    if (incompatibleSenders.has(senderId) && data.type !== 'hello') {
+        sendMessageError(senderId, data.type, ['sender: protocol version not supported, update required']);
+        return;
+    }
+
+    if (!isHost(senderId) && READ_ONLY_MESSAGE_TYPES.indexOf(data.type) === -1) {
+        sendMessageError(senderId, data.type, ['sender: only the host can send ' + data.type]);
+        return;
+    }
+
+    if (data.serverTime !== undefined) {
+        recordClockSample(data.serverTime);
+    }
+
+    try {
+        // Renderers annotate their payload (e.g. round ranks), so cache a copy
+        // of what the host actually sent
+        const sent = JSON.parse(JSON.stringify(data));
+        dispatchMessage(data, senderId);
+        rememberScreenState(sent);
+    } catch (e) {
+        console.error('Error handling message:', e);
+    }
+}
+
+/**
+ * Route a validated message to the code that handles it
+ */
+function dispatchMessage(data, senderId) {
+    const screenName = screenForMessage[data.type];
+    if (screenName) {
+        const render = screenRegistry[screenName].messages[data.type];
+        if (!render || render(data, senderId) !== false) {
+            showScreen(screenName);
+        }
+        return;
+    }
+
+    switch (data.type) {
+        case 'music_start':
+            playMusic('lobby', data.fadeInDurationMs || 2000);
+            break;
+
+        case 'music_play':
+            if (!musicTracks[data.track]) {
+                sendMessageError(senderId, data.type, ['track: no music track "' + data.track + '" in the audio manifest']);
+                break;
+            }
+            playMusic(data.track, data.fadeMs !== undefined ? data.fadeMs : PHASE_CROSSFADE_MS);
+            break;
+
+        case 'music_fade_stop':
+            fadeStopMusic(data.fadeDurationMs || 2000);
+            break;
+
+        case 'music_stop':
+            stopMusic();
+            break;
+
+        case 'play_countdown_bell':
+            playSfx('countdown_bell');
+            break;
+
+        case 'play_countdown':
+            playSfx('countdown_bell');
+            break;
+
+        case 'stop_countdown':
+            clockTicksSilenced = true;
+            stopClockTicker();
+            stopSfx();
+            break;
+
+        case 'play_bell':
+            playSfx('bell');
+            break;
+
+        case 'play_vote_tick':
+            playSfx('vote', 1.6);
+            break;
+
+        case 'set_audio_prefs':
+            setAudioPrefs(data);
+            break;
+
+        case 'set_narrator':
+            setNarrator(data);
+            break;
+
+        case 'vote_cast':
+            castVote(data, senderId);
+            break;
+
+        case 'set_accessibility':
+            setAccessibility(data);
+            break;
+
+        case 'set_theme':
+            setTheme(data, senderId);
+            break;
+
+        case 'play_sfx':
+            if (sfxManifestLoaded && !sfxManifest[data.name]) {
+                sendMessageError(senderId, data.type, ['name: no sound "' + data.name + '" in the audio manifest']);
+                break;
+            }
+            // A zero rate never ends (leaving the music ducked) and a negative one throws
+            if (data.rate !== undefined && !(data.rate >= SFX_MIN_RATE && data.rate <= SFX_MAX_RATE)) {
+                sendMessageError(senderId, data.type, ['rate: expected a number from ' + SFX_MIN_RATE + ' to ' + SFX_MAX_RATE]);
+                break;
+            }
+            if (data.volume !== undefined && !(data.volume >= 0 && data.volume <= 1)) {
+                sendMessageError(senderId, data.type, ['volume: expected a number from 0 to 1']);
+                break;
+            }
+            playSfx(data.name, data.rate, data.volume);
+            break;
+
+        case 'pause':
+            setGamePaused(true);
+            break;
+
+        case 'resume':
+            setGamePaused(false);
+            break;
+
+        case 'request_state':
+            sendToSender(senderId, buildStateSnapshot());
+            break;
+
+        case 'hello':
+            handleHello(data, senderId);
+            break;
+
+        case 'export_recording':
+            exportRecording(senderId);
+            break;
+
+        case 'reset_state':
+            clearStateCache();
+            showScreen('connecting');
+            break;
+
+        default:
+            console.warn('Unknown message type:', data.type);
     }
 }
 
@@ -353,28 +2233,41 @@ function handleMessage(message) {
 function updateLobbyScreen(data) {
     const screen = screens.lobby;
 
+    if (data.locale !== undefined) setLocale(data.locale);
+
     screen.querySelector('.game-name').textContent = data.gameName;
-    screen.querySelector('.player-count').textContent = data.players.length + '/' + data.maxPlayers + ' players';
-    screen.querySelector('.round-count').textContent = data.totalRounds + ' rounds';
+    // "3/8 players" agrees with the 8, so maxPlayers is the plural count
+    screen.querySelector('.player-count').textContent = t('lobby.playerCount', {
+        players: data.players.length,
+        count: data.maxPlayers
+    });
+    screen.querySelector('.round-count').textContent = t('lobby.roundCount', { count: data.totalRounds });
 
     // Answer time
-    var minutes = Math.floor(data.answerTimeSeconds / 60);
-    var tenths = Math.floor((data.answerTimeSeconds % 60) / 6);
-    screen.querySelector('.answer-time').textContent = minutes + '.' + tenths + ' Min to answer';
+    screen.querySelector('.answer-time').textContent = t('lobby.answerTime', {
+        minutes: formatMinutes(data.answerTimeSeconds)
+    });
 
     // Anonymous mode
     var anonymousEl = screen.querySelector('.anonymous-mode');
     anonymousEl.style.display = data.anonymousAnswers ? '' : 'none';
+    anonymousGame = !!data.anonymousAnswers;
+
+    // Audience size, for players watching beyond maxPlayers
+    const audienceEl = screen.querySelector('.audience-count');
+    audienceEl.style.display = data.audienceCount ? '' : 'none';
+    if (data.audienceCount) {
+        audienceEl.textContent = t('lobby.audience', { count: data.audienceCount });
+    }
+
+    updateJoinPanel(screen.querySelector('.join-panel'), data);
 
     const playerList = screen.querySelector('.player-list');
-    playerList.innerHTML = '';
 
     // Use compact cards when 7+ players so all fit on screen
     playerList.classList.toggle('compact', data.players.length >= 7);
 
-    data.players.forEach(player => {
-        playerList.appendChild(createPlayerCard(player));
-    });
+    syncPlayerList(playerList, data.players);
 }
 
 /**
@@ -382,15 +2275,40 @@ function updateLobbyScreen(data) {
  */
 function updateLoadingScreen(data) {
     const screen = screens.loading;
-    screen.querySelector('.status').textContent = 'Loading Game...';
+    screen.querySelector('.status').textContent = t('loading.game');
 }
 
 /**
  * Update loading screen for round loading
  */
 function updateLoadingRoundScreen(data) {
+    // Don't interrupt the tutorial with loading_round rebroadcasts
+    if (isTutorialRunning() && currentScreen === 'tutorial') {
+        console.log('Tutorial running, ignoring loading_round');
+        return false;
+    }
     const screen = screens.loading;
-    screen.querySelector('.status').textContent = 'Loading Round ' + data.roundNumber + '...';
+    screen.querySelector('.status').textContent = t('loading.round', { round: data.roundNumber });
+}
+
+/**
+ * Cut the tutorial short and wait for round 1 on the loading screen
+ */
+function skipTutorial(data) {
+    console.log('Received skip_tutorial, jumping to the end of the tutorial');
+    if (isTutorialRunning()) {
+        tutorialSkipped = true;
+        tutorialTimeline.seek('end');
+    }
+    screens.loading.querySelector('.status').textContent = t('loading.round', { round: 1 });
+}
+
+/**
+ * Game over: nothing is left to resync, and the music winds down
+ */
+function endGame(data) {
+    clearStateCache();
+    setTimeout(() => stopMusic(), 2000);
 }
 
 /**
@@ -399,9 +2317,14 @@ function updateLoadingRoundScreen(data) {
 function updateCountdownScreen(data) {
     const screen = screens.countdown;
 
-    screen.querySelector('.round-number').textContent = data.roundNumber;
-    screen.querySelector('.countdown-number').textContent = data.secondsRemaining;
-    screen.querySelector('.total-rounds').textContent = data.totalRounds;
+    screen.querySelector('.round-number').textContent = formatNumber(data.roundNumber);
+    screen.querySelector('.total-rounds').textContent = formatNumber(data.totalRounds);
+    localizeElement(screen.querySelector('.round-progress'), { count: data.totalRounds });
+
+    const countdownNumber = screen.querySelector('.countdown-number');
+    runScreenTimer('countdown', data, seconds => {
+        countdownNumber.textContent = formatNumber(seconds);
+    });
 }
 
 /**
@@ -410,13 +2333,18 @@ function updateCountdownScreen(data) {
 function updateAnsweringScreen(data) {
     const screen = screens.answering;
 
-    screen.querySelector('.round-number').textContent = data.roundNumber;
-    screen.querySelector('.timer-seconds').textContent = data.secondsRemaining;
-    screen.querySelector('.answers-received').textContent = data.answersReceived;
-    screen.querySelector('.total-players').textContent = data.totalPlayers;
+    screen.querySelector('.round-number').textContent = formatNumber(data.roundNumber);
+    screen.querySelector('.answers-received').textContent = formatNumber(data.answersReceived);
+    screen.querySelector('.total-players').textContent = formatNumber(data.totalPlayers);
+    localizeElement(screen.querySelector('.answer-status'), { count: data.totalPlayers });
 
     const timerCircle = screen.querySelector('.timer-circle');
-    updateTimerStyle(timerCircle, data.secondsRemaining, 60);
+    const timerSeconds = timerCircle.querySelector('.timer-seconds');
+    runScreenTimer('answering', data, seconds => {
+        timerSeconds.textContent = formatNumber(seconds);
+        updateTimerStyle(timerCircle, seconds, 60);
+        updateClockTicker('answering', seconds);
+    });
 }
 
 /**
@@ -426,13 +2354,35 @@ function updateMatchupVotingScreen(data) {
     const screen = screens.matchupVoting;
 
     screen.querySelector('.prompt-text').textContent = data.promptText;
-    screen.querySelector('.answer-1 .answer-text').textContent = data.answer1;
-    screen.querySelector('.answer-2 .answer-text').textContent = data.answer2;
-    screen.querySelector('.timer-seconds').textContent = data.secondsRemaining;
-    screen.querySelector('.votes-received').textContent = data.votesReceived;
-    screen.querySelector('.eligible-voters').textContent = data.eligibleVoters;
-    screen.querySelector('.matchup-number').textContent = data.matchupNumber;
-    screen.querySelector('.total-matchups').textContent = data.totalMatchups;
+    const answers = votingAnswers(data);
+    const cards = syncAnswerCards(screen.querySelector('.answers-container'), 'answer-card', 'answer-', answers.length);
+    answers.forEach((answer, index) => {
+        cards[index].querySelector('.answer-text').textContent = answer;
+    });
+    if (voteTray.promptText !== data.promptText) resetVoteTray(data.promptText);
+    voteTray.answerCount = answers.length;
+    voteTray.reported = data.votesReceived;
+    updateVoteCount();
+    screen.querySelector('.eligible-voters').textContent = formatNumber(data.eligibleVoters);
+    screen.querySelector('.matchup-number').textContent = formatNumber(data.matchupNumber);
+    screen.querySelector('.total-matchups').textContent = formatNumber(data.totalMatchups);
+    localizeElement(screen.querySelector('.vote-status'), { count: data.eligibleVoters });
+
+    const audienceStatus = screen.querySelector('.audience-status');
+    audienceStatus.style.display = data.audienceVotes !== undefined ? '' : 'none';
+    if (data.audienceVotes !== undefined) {
+        audienceStatus.textContent = t('voting.audience', { count: data.audienceVotes });
+    }
+
+    const countdownTimer = screen.querySelector('.voting-footer .countdown-timer');
+    const timerSeconds = countdownTimer.querySelector('.timer-seconds');
+    runScreenTimer('matchupVoting', data, seconds => {
+        timerSeconds.textContent = formatNumber(seconds);
+        updateTimerStyle(countdownTimer, seconds, 30);
+        updateClockTicker('matchupVoting', seconds);
+    });
+
+    narrateMatchupVoting(data);
 }
 
 /**
@@ -443,56 +2393,37 @@ function updateMatchupResultsScreen(data) {
 
     screen.querySelector('.prompt-text').textContent = data.promptText;
 
-    // Result 1
-    const result1 = screen.querySelector('.result-1');
-    result1.querySelector('.player-name').textContent = data.player1Name;
-    result1.querySelector('.answer-text').textContent = data.answer1;
-    result1.querySelector('.points').textContent = data.player1TotalPoints !== undefined ? data.player1TotalPoints : data.player1Votes;
-    result1.querySelector('.votes').textContent = data.player1Votes;
-
-    // Show/hide bonus line based on whether player gets the matchup bonus
-    const bonusLine1 = result1.querySelector('.bonus-line');
-    if (bonusLine1) {
-        bonusLine1.style.display = data.player1GetsBonus ? 'block' : 'none';
-    }
-
-    const voters1 = result1.querySelector('.voter-icons');
-    voters1.innerHTML = '';
-    data.player1Voters.forEach(iconId => {
-        voters1.appendChild(createVoterIcon(iconId));
-    });
-
-    // Result 2
-    const result2 = screen.querySelector('.result-2');
-    result2.querySelector('.player-name').textContent = data.player2Name;
-    result2.querySelector('.answer-text').textContent = data.answer2;
-    result2.querySelector('.points').textContent = data.player2TotalPoints !== undefined ? data.player2TotalPoints : data.player2Votes;
-    result2.querySelector('.votes').textContent = data.player2Votes;
-
-    // Show/hide bonus line based on whether player gets the matchup bonus
-    const bonusLine2 = result2.querySelector('.bonus-line');
-    if (bonusLine2) {
-        bonusLine2.style.display = data.player2GetsBonus ? 'block' : 'none';
-    }
-
-    const voters2 = result2.querySelector('.voter-icons');
-    voters2.innerHTML = '';
-    data.player2Voters.forEach(iconId => {
-        voters2.appendChild(createVoterIcon(iconId));
+    // Voters' icons come over from the vote tray, flying if it is on screen
+    const trayIcons = takeTrayIcons(data.promptText);
+    const flights = currentScreen === 'matchupVoting' ? [] : null;
+
+    const answers = resultAnswers(data);
+    const { maxVotes, outcomes } = scoreMatchup(answers, data.abstainVoters.length);
+    const cards = syncAnswerCards(screen.querySelector('.results-container'), 'result-card', 'result-', answers.length);
+
+    // Audience bars, when the sender counted audience votes
+    const hasAudience = answers.some(answer => answer.audienceVotes !== undefined);
+    const audienceTotal = answers.reduce((sum, answer) => sum + (answer.audienceVotes || 0), 0);
+    const growBars = currentScreen !== 'matchupResults';
+
+    answers.forEach((answer, index) => {
+        const card = cards[index];
+        const outcome = outcomes[index];
+        card.querySelector('.player-name').textContent = answer.playerName;
+        card.querySelector('.answer-text').textContent = answer.answer;
+        card.querySelector('.points').textContent = formatNumber(outcome.points);
+        card.querySelector('.votes').textContent = formatNumber(answer.votes);
+        card.querySelector('.bonus-line').style.display = outcome.bonus ? 'block' : 'none';
+        card.classList.toggle('winner', outcome.winner);
+        placeVoterIcons(card.querySelector('.voter-icons'), answer.voters, false, trayIcons, flights);
+
+        const share = audienceTotal > 0 ? (answer.audienceVotes || 0) / audienceTotal : 0;
+        setAudienceBar(card.querySelector('.audience-bar'), hasAudience ? share : null, growBars);
     });
 
-    // Determine winner(s)
-    result1.classList.remove('winner');
-    result2.classList.remove('winner');
-
-    const maxVotes = Math.max(data.player1Votes, data.player2Votes, data.abstainVoters.length);
-    if (data.player1Votes === maxVotes) result1.classList.add('winner');
-    if (data.player2Votes === maxVotes) result2.classList.add('winner');
-
     // Abstain voters
     const abstainSection = screen.querySelector('.abstain-section');
     const abstainIcons = screen.querySelector('.abstain-icons');
-    abstainIcons.innerHTML = '';
     abstainSection.classList.remove('winner');
 
     if (data.abstainVoters && data.abstainVoters.length > 0) {
@@ -500,16 +2431,14 @@ function updateMatchupResultsScreen(data) {
         if (data.abstainVoters.length === maxVotes) {
             abstainSection.classList.add('winner');
         }
-        data.abstainVoters.forEach(iconId => {
-            abstainIcons.appendChild(createVoterIcon(iconId, true));
-        });
     } else {
         abstainSection.style.display = 'none';
     }
-}
+    placeVoterIcons(abstainIcons, data.abstainVoters, true, trayIcons, flights);
+    if (flights) flyVoterIcons(flights);
 
-// Track round results state for reordering animation
-let roundResultsReorderTimeout = null;
+    narrateMatchupResults(data);
+}
 
 /**
  * Update round results screen with reordering animation
@@ -518,13 +2447,10 @@ let roundResultsReorderTimeout = null;
 function updateRoundResultsScreen(data) {
     const screen = screens.roundResults;
 
-    // Clear any pending reorder timeout from previous round
-    if (roundResultsReorderTimeout) {
-        clearTimeout(roundResultsReorderTimeout);
-        roundResultsReorderTimeout = null;
-    }
+    // Clear any pending reorder animation from a previous round_results
+    clearScreenTimers('roundResults');
 
-    screen.querySelector('.round-number').textContent = data.roundNumber;
+    screen.querySelector('.round-number').textContent = formatNumber(data.roundNumber);
 
     const leaderboard = screen.querySelector('.leaderboard');
     leaderboard.innerHTML = '';
@@ -620,14 +2546,26 @@ function updateRoundResultsScreen(data) {
     }
 
     const isTwoColumn = data.players.length >= 5;
+    // Reduced motion crossfades to the new order instead of sliding entries
+    const crossfade = isTwoColumn || accessibility.reducedMotion;
     const isFinalRound = data.roundNumber >= data.totalRounds;
 
+    const timeline = createTimeline('roundResults', 'round_results_reorder');
+
     // After 3 seconds, animate to final positions sorted by total score
     // Skip transition on final round — the Game Results screen shows cumulative standings
     if (isFinalRound) {
         console.log('Final round: skipping reorder animation');
+        timeline.cue('revealed').add(() => notifyRoundResultsRevealed(data.roundNumber));
+        timeline.play();
+        return;
     }
-    if (!isFinalRound) roundResultsReorderTimeout = setTimeout(() => {
+
+    // Shared between the reorder steps below
+    let entries = [];
+
+    timeline.wait(3000).cue('reorder');
+    timeline.add(() => {
         console.log('Starting reorder animation');
 
         // Start crossfade: fade out "Round Scores" immediately
@@ -635,7 +2573,7 @@ function updateRoundResultsScreen(data) {
             scoresHeaderContainer.classList.add('transitioned');
         }
 
-        const entries = Array.from(leaderboard.querySelectorAll('.leaderboard-entry'));
+        entries = Array.from(leaderboard.querySelectorAll('.leaderboard-entry'));
         if (entries.length === 0) {
             console.log('No entries found for animation');
             return;
@@ -648,7 +2586,7 @@ function updateRoundResultsScreen(data) {
             // Update the rank display
             const rankEl = entry.querySelector('.rank');
             if (rankEl) {
-                rankEl.textContent = '#' + finalRank;
+                rankEl.textContent = t('score.rank', { rank: Number(finalRank) });
                 entry.className = entry.className.replace(/rank-\d+/g, '');
                 entry.classList.add('rank-' + finalRank);
             }
@@ -664,23 +2602,11 @@ function updateRoundResultsScreen(data) {
             }
         });
 
-        if (isTwoColumn) {
-            // Two-column layout: fade out, reorder DOM, fade back in
-            // (translateY doesn't work with flex-wrap)
+        if (crossfade) {
+            // Two-column layout or reduced motion: fade out, reorder DOM,
+            // fade back in (translateY doesn't work with flex-wrap)
             leaderboard.style.transition = 'opacity 1s ease-in-out';
             leaderboard.style.opacity = '0';
-
-            setTimeout(() => {
-                const sortedEntries = entries.slice().sort((a, b) => {
-                    return parseInt(a.getAttribute('data-final-index')) - parseInt(b.getAttribute('data-final-index'));
-                });
-
-                sortedEntries.forEach(entry => {
-                    leaderboard.appendChild(entry);
-                });
-
-                leaderboard.style.opacity = '1';
-            }, 1000);
         } else {
             // Single-column layout: use translateY animation
             const firstEntry = entries[0];
@@ -707,24 +2633,38 @@ function updateRoundResultsScreen(data) {
                 entry.style.transition = 'transform 1s ease-in-out';
                 entry.style.transform = `translateY(${moveDistance}px)`;
             });
+        }
+    });
 
-            // After animation completes, reorder DOM elements to fix spacing
-            setTimeout(() => {
-                console.log('Animation complete, reordering DOM');
+    // After the fade-out (two-column) or slide (single-column) completes,
+    // reorder DOM elements to fix spacing
+    timeline.wait(crossfade ? 1000 : 850).cue('revealed');
+    timeline.add(() => {
+        console.log('Animation complete, reordering DOM');
 
-                const sortedEntries = entries.slice().sort((a, b) => {
-                    return parseInt(a.getAttribute('data-final-index')) - parseInt(b.getAttribute('data-final-index'));
-                });
+        const sortedEntries = entries.slice().sort((a, b) => {
+            return parseInt(a.getAttribute('data-final-index')) - parseInt(b.getAttribute('data-final-index'));
+        });
 
-                sortedEntries.forEach(entry => {
-                    entry.style.transition = 'none';
-                    entry.style.transform = 'none';
-                    leaderboard.appendChild(entry);
-                });
-            }, 850);
-        }
+        sortedEntries.forEach(entry => {
+            if (!crossfade) {
+                entry.style.transition = 'none';
+                entry.style.transform = 'none';
+            }
+            leaderboard.appendChild(entry);
+        });
+        if (crossfade) leaderboard.style.opacity = '1';
+        notifyRoundResultsRevealed(data.roundNumber);
+    });
+
+    timeline.play();
+}
 
-    }, 3000);
+/**
+ * Tell senders the round results reorder has finished
+ */
+function notifyRoundResultsRevealed(roundNumber) {
+    broadcastEvent('results_reveal_complete', { screen: 'roundResults', roundNumber: roundNumber });
 }
 
 /**
@@ -733,6 +2673,9 @@ function updateRoundResultsScreen(data) {
 function updateGameResultsScreen(data) {
     const screen = screens.gameResults;
 
+    // Cancel the reveal from any earlier game_results
+    clearScreenTimers('gameResults');
+
     // Determine winner and loser ranks for badge display
     const topRank = Math.min(...data.players.map(p => p.rank));
     const bottomRank = Math.max(...data.players.map(p => p.rank));
@@ -759,18 +2702,26 @@ function updateGameResultsScreen(data) {
     setTwoColumnHeight(leaderboard, data.players.length);
 
     // Staggered reveal: fade in rank groups one at a time
+    const timeline = createTimeline('gameResults', 'game_results_reveal');
     const distinctRanks = [...new Set(data.players.map(p => p.rank))].sort((a, b) => a - b);
-    let delay = 2000; // Initial delay before first reveal
+    timeline.wait(2000); // Initial delay before first reveal
     distinctRanks.forEach((rank, index) => {
-        setTimeout(() => {
+        timeline.cue('rank_' + rank).add(() => {
             leaderboard.querySelectorAll(`.reveal[data-rank="${rank}"]`).forEach(el => {
                 el.classList.add('visible');
             });
-        }, delay);
-        if (index < distinctRanks.length - 1) {
-            delay += 1500; // Gap between rank groups
+        });
+        // With reduced motion every group fades in together
+        if (index < distinctRanks.length - 1 && !accessibility.reducedMotion) {
+            timeline.wait(1500); // Gap between rank groups
         }
     });
+
+    // Report once the last group has finished fading in (matches .reveal transition)
+    timeline.wait(1000).cue('revealed').add(() => {
+        broadcastEvent('results_reveal_complete', { screen: 'gameResults' });
+    });
+    timeline.play();
 }
 
 /**
@@ -783,11 +2734,11 @@ function createGameResultEntry(player, badge) {
 
     const rank = document.createElement('span');
     rank.className = 'rank';
-    rank.textContent = '#' + player.rank;
+    rank.textContent = t('score.rank', { rank: player.rank });
 
     const icon = document.createElement('span');
     icon.className = 'icon';
-    icon.appendChild(createIconImg(player.iconId));
+    icon.appendChild(createAvatar(player));
 
     const info = document.createElement('div');
     info.className = 'player-info';
@@ -803,8 +2754,9 @@ function createGameResultEntry(player, badge) {
     if (badge) {
         const badgeImg = document.createElement('img');
         badgeImg.className = 'result-badge';
-        badgeImg.src = badge === 'winner' ? 'halfwit_winner.png' : 'halfwit_loser.png';
-        badgeImg.alt = badge === 'winner' ? 'Winner' : 'Half-Wit';
+        badgeImg.dataset.badge = badge;
+        badgeImg.src = themeImage(badge === 'winner' ? 'winner' : 'loser');
+        badgeImg.alt = t(badge === 'winner' ? 'gameResults.winner' : 'gameResults.halfwit');
         nameRow.appendChild(badgeImg);
     }
 
@@ -815,8 +2767,7 @@ function createGameResultEntry(player, badge) {
 
     const totalScore = document.createElement('div');
     totalScore.className = 'total-score highlighted';
-    const points = player.totalScore === 1 ? 'Pt' : 'Pts';
-    totalScore.textContent = player.totalScore + ' ' + points;
+    totalScore.textContent = t('score.points', { count: player.totalScore });
     scoreSection.appendChild(totalScore);
 
     entry.appendChild(rank);
@@ -829,45 +2780,36 @@ function createGameResultEntry(player, badge) {
 
 // ==================== Tutorial Animation ====================
 
-// Track tutorial state to prevent duplicate runs
-let tutorialRunning = false;
-let tutorialTimeouts = [];
+// The tutorial's timeline while it is playing (or last played)
+let tutorialTimeline = null;
 
-/**
- * Clear all pending tutorial timeouts
- */
-function clearTutorialTimeouts() {
-    tutorialTimeouts.forEach(id => clearTimeout(id));
-    tutorialTimeouts = [];
-    tutorialRunning = false;
-}
+// Set by skip_tutorial so tutorial_complete reports the skip
+let tutorialSkipped = false;
 
-/**
- * Schedule a timeout and track it for cleanup
- */
-function tutorialTimeout(fn, delay) {
-    const id = setTimeout(fn, delay);
-    tutorialTimeouts.push(id);
-    return id;
+function isTutorialRunning() {
+    return tutorialTimeline !== null &&
+        (tutorialTimeline.state === 'running' || tutorialTimeline.state === 'paused');
 }
 
 /**
- * Show a tutorial step with fade animation
+ * Add a tutorial step change with fade animation at the timeline cursor
  */
-function showTutorialStep(stepNumber) {
+function showTutorialStep(timeline, stepNumber) {
     // Hide all steps
-    for (let i = 1; i <= 7; i++) {
-        const step = document.getElementById('tutorial-step-' + i);
-        if (step) {
-            step.classList.remove('active', 'fade-in');
-            if (i !== stepNumber) {
-                step.classList.add('fade-out');
+    timeline.add(() => {
+        for (let i = 1; i <= 7; i++) {
+            const step = document.getElementById('tutorial-step-' + i);
+            if (step) {
+                step.classList.remove('active', 'fade-in');
+                if (i !== stepNumber) {
+                    step.classList.add('fade-out');
+                }
             }
         }
-    }
+    });
 
     // Show the target step
-    tutorialTimeout(() => {
+    timeline.add(() => {
         for (let i = 1; i <= 7; i++) {
             const step = document.getElementById('tutorial-step-' + i);
             if (step) {
@@ -884,48 +2826,208 @@ function showTutorialStep(stepNumber) {
 }
 
 /**
- * Typewriter effect - types text character by character
+ * Typewriter effect - adds one step per character at the timeline cursor.
+ * With reduced motion the whole text appears at once.
  */
-function typeText(element, text, msPerChar, callback) {
-    let index = 0;
-    function typeNext() {
-        if (index < text.length) {
-            element.textContent += text[index];
-            index++;
-            tutorialTimeout(typeNext, msPerChar);
-        } else if (callback) {
-            callback();
-        }
+function typeText(timeline, element, text, msPerChar) {
+    if (accessibility.reducedMotion) {
+        timeline.add(() => {
+            element.textContent = text;
+        });
+        return;
+    }
+    for (let i = 0; i < text.length; i++) {
+        timeline.add(() => {
+            element.textContent += text[i];
+        }, i * msPerChar);
     }
-    typeNext();
 }
 
 /**
- * Start the tutorial animation sequence
+ * Build the tutorial animation sequence
  * Matches Android TutorialScreen.kt timing as closely as possible
  */
+function buildTutorialTimeline() {
+    const timeline = createTimeline('tutorial', 'tutorial');
+
+    // ===== Step 1: Welcome (0.0s – 1.75s) =====
+    // Shown directly by startTutorial
+    timeline.cue('welcome').wait(1750);
+
+    // ===== Step 2: Here's How it Works (1.75s – 3.5s) =====
+    timeline.cue('how_it_works');
+    showTutorialStep(timeline, 2);
+    timeline.wait(1750);
+
+    // ===== Step 3: X Rounds (3.5s – 5.5s) =====
+    timeline.cue('rounds');
+    showTutorialStep(timeline, 3);
+    timeline.wait(2000);
+
+    // ===== Step 4: Prompts + Answering Demo (5.5s – ~15.0s) =====
+    timeline.cue('answering');
+    showTutorialStep(timeline, 4);
+    timeline.wait(2000); // Text appears, 2s before demo starts
+
+    const prompt1 = document.getElementById('tutorial-prompt-1');
+    const prompt2 = document.getElementById('tutorial-prompt-2');
+    const submitBtn = document.getElementById('tutorial-submit-btn');
+
+    // Show prompt cards (slide in)
+    timeline.add(() => prompt1.classList.add('visible')).wait(200);
+    timeline.add(() => prompt2.classList.add('visible')).wait(500);
+
+    // Show submit button (disabled)
+    timeline.add(() => submitBtn.classList.add('visible'));
+
+    // Typing takes as long as the translated text needs: chars * ms per char + gap
+    const label1 = t('tutorial.promptLabel', { number: 1 });
+    const label2 = t('tutorial.promptLabel', { number: 2 });
+    const answer1 = t('tutorial.answer1');
+    const answer2 = t('tutorial.answer2');
+
+    // Type "Prompt 1" into card 1 label
+    typeText(timeline, prompt1.querySelector('.tutorial-prompt-label'), label1, 60);
+    timeline.wait(label1.length * 60 + 150);
+
+    // Type "Prompt 2" into card 2 label
+    typeText(timeline, prompt2.querySelector('.tutorial-prompt-label'), label2, 60);
+    timeline.wait(label2.length * 60 + 150);
+
+    // Type answer 1: "A clever answer!"
+    timeline.add(() => prompt1.querySelector('.tutorial-text-field').classList.add('has-text'));
+    typeText(timeline, prompt1.querySelector('.tutorial-typed-text'), answer1, 55);
+    timeline.wait(answer1.length * 55 + 150);
+
+    // Type answer 2: "A witty response!"
+    timeline.add(() => prompt2.querySelector('.tutorial-text-field').classList.add('has-text'));
+    typeText(timeline, prompt2.querySelector('.tutorial-typed-text'), answer2, 55);
+    timeline.wait(answer2.length * 55 + 200);
+
+    // Button enables (gray → pink)
+    timeline.add(() => submitBtn.classList.add('enabled')).wait(500);
+
+    // Button pressed (pink → green)
+    timeline.add(() => {
+        submitBtn.classList.remove('enabled');
+        submitBtn.classList.add('submitted');
+    }).wait(500);
+
+    // Show "Submitted!" text
+    timeline.add(() => {
+        document.getElementById('tutorial-submitted-text').classList.add('visible');
+    }).wait(700);
+
+    // Hold + fade out gap
+    timeline.wait(400);
+
+    // ===== Step 5: Matched Up (horizontal cards) =====
+    timeline.cue('matchup');
+    showTutorialStep(timeline, 5);
+    timeline.wait(1000 + 300); // 1s for text to appear + fade transition time
+
+    // Pink card flies in from left, "VS" appears, green card flies in from right
+    timeline.add(() => document.getElementById('tutorial-vs-pink').classList.add('visible')).wait(600);
+    timeline.add(() => document.getElementById('tutorial-vs-text').classList.add('visible')).wait(500);
+    timeline.add(() => document.getElementById('tutorial-vs-green').classList.add('visible'));
+    timeline.wait(2600); // Hold for viewing
+
+    // ===== Step 6: Earn Points + Bonus + Remember =====
+    timeline.cue('points');
+    showTutorialStep(timeline, 6);
+    timeline.wait(750); // Earn points text appears
+
+    const plusOne = document.getElementById('tutorial-plus-one');
+    const plusOneBonus = document.getElementById('tutorial-plus-one-bonus');
+
+    // First +1 floats in, then out
+    timeline.add(() => plusOne.classList.add('float-in')).wait(1000);
+    timeline.add(() => {
+        plusOne.classList.remove('float-in');
+        plusOne.classList.add('float-out');
+    }).wait(500);
+
+    // Bonus text fades in
+    timeline.add(() => document.getElementById('tutorial-bonus-text').classList.add('visible')).wait(750);
+
+    // Second +1 (bonus) floats in, then out
+    timeline.add(() => plusOneBonus.classList.add('float-in')).wait(1000);
+    timeline.add(() => {
+        plusOneBonus.classList.remove('float-in');
+        plusOneBonus.classList.add('float-out');
+    }).wait(500);
+
+    // Remember text appears with shake
+    timeline.add(() => {
+        const remember = document.getElementById('tutorial-remember');
+        remember.classList.add('visible');
+        if (!accessibility.reducedMotion) remember.classList.add('shaking');
+    });
+    timeline.wait(3750); // Hold for reading
+
+    // ===== Step 7: Get Ready! =====
+    timeline.cue('get_ready');
+    showTutorialStep(timeline, 7);
+    timeline.wait(3000);
+
+    // Tutorial complete - show loading screen as fallback
+    timeline.cue('end');
+    timeline.add(() => {
+        console.log('Tutorial animation complete');
+        broadcastEvent('tutorial_complete', { skipped: tutorialSkipped });
+        showTutorialFallback();
+    });
+
+    return timeline;
+}
+
+/**
+ * Wait for the next phase on the loading screen once the tutorial is over
+ */
+function showTutorialFallback() {
+    screens.loading.querySelector('.status').textContent = t('loading.round', { round: 1 });
+    showScreen('loading');
+}
+
+/**
+ * Where in the tutorial to start: the message's cue, moved on by elapsedMs
+ */
+function resolveTutorialStart(timeline, data) {
+    const cueTime = data.cue !== undefined ? timeline.cueTime(data.cue) : undefined;
+    if (cueTime === undefined && data.elapsedMs === undefined) return undefined;
+    return (cueTime || 0) + (data.elapsedMs || 0);
+}
+
+/**
+ * Start the tutorial animation sequence, optionally part way through
+ */
 function startTutorial(data) {
-    // If tutorial is already running, ignore duplicate messages
-    if (tutorialRunning && currentScreen === 'tutorial') {
-        console.log('Tutorial already running, ignoring duplicate');
-        return;
+    // A repeated tutorial message only moves a running tutorial on to its cue
+    if (isTutorialRunning() && currentScreen === 'tutorial') {
+        const startAt = resolveTutorialStart(tutorialTimeline, data);
+        if (startAt === undefined) {
+            console.log('Tutorial already running, ignoring duplicate');
+        } else {
+            tutorialTimeline.seek(startAt);
+        }
+        // Already on screen, unless the jump reached the end
+        return false;
     }
 
-    // Clear any previous tutorial
-    clearTutorialTimeouts();
-    tutorialRunning = true;
-
     const totalRounds = data.totalRounds || 3;
     const answerTimeSeconds = data.answerTimeSeconds || 60;
 
     // Format time label
-    var minutes = Math.floor(answerTimeSeconds / 60);
-    var remainder = answerTimeSeconds % 60;
-    let timeLabel;
-    if (remainder === 0) {
-        timeLabel = minutes + ' Minute';
-    } else {
-        timeLabel = minutes + '.' + Math.floor(remainder / 6) + ' Minute';
+    const timeLabel = t('tutorial.timeLabel', { minutes: formatMinutes(answerTimeSeconds) });
+
+    const timeline = buildTutorialTimeline();
+    const startAt = resolveTutorialStart(timeline, data);
+
+    // Joining after the tutorial would already have finished: go straight to loading
+    if (startAt !== undefined && startAt >= timeline.duration) {
+        console.log('Tutorial already over, showing loading screen');
+        showTutorialFallback();
+        return false;
     }
 
     // Reset all tutorial step elements
@@ -939,7 +3041,9 @@ function startTutorial(data) {
 
     // Reset step 3: rounds number
     const roundsNum = document.querySelector('.tutorial-rounds-number');
-    if (roundsNum) roundsNum.textContent = totalRounds;
+    if (roundsNum) roundsNum.textContent = formatNumber(totalRounds);
+    const roundsOutro = document.querySelector('.tutorial-rounds-outro');
+    if (roundsOutro) localizeElement(roundsOutro, { count: totalRounds });
 
     // Reset step 4: demo elements
     const timeEl = document.getElementById('tutorial-time-label');
@@ -990,345 +3094,573 @@ function startTutorial(data) {
     // Show the tutorial screen
     showScreen('tutorial');
 
-    // Timeline offset tracker
-    let t = 0;
-
-    // ===== Step 1: Welcome (0.0s – 1.75s) =====
+    // ===== Step 1: Welcome =====
     const step1 = document.getElementById('tutorial-step-1');
     step1.style.display = 'flex';
     step1.classList.add('active', 'fade-in');
-    t += 1750;
 
-    // ===== Step 2: Here's How it Works (1.75s – 3.5s) =====
-    tutorialTimeout(() => showTutorialStep(2), t);
-    t += 1750;
+    tutorialSkipped = false;
+    tutorialTimeline = timeline;
+    timeline.play(startAt);
 
-    // ===== Step 3: X Rounds (3.5s – 5.5s) =====
-    tutorialTimeout(() => showTutorialStep(3), t);
-    t += 2000;
+    console.log('Tutorial started, total duration: ' + timeline.duration + 'ms');
+}
 
-    // ===== Step 4: Prompts + Answering Demo (5.5s – ~15.0s) =====
-    tutorialTimeout(() => showTutorialStep(4), t);
-    const step4Start = t;
-    t += 2000; // Text appears, 2s before demo starts
+// ── Audio Preferences ───────────────────────────────────────────────
+// Hosts can turn the music and SFX down separately, or mute the TV, with
+// set_audio_prefs. Levels are 0–1 on top of each sound's designed level, and
+// last for the rest of the session (they survive reset_state and new games).
 
-    // Show prompt cards (slide in)
-    tutorialTimeout(() => {
-        const p1 = document.getElementById('tutorial-prompt-1');
-        if (p1) p1.classList.add('visible');
-    }, t);
-    t += 200;
-
-    tutorialTimeout(() => {
-        const p2 = document.getElementById('tutorial-prompt-2');
-        if (p2) p2.classList.add('visible');
-    }, t);
-    t += 500;
+const MUSIC_MAX_VOLUME = 0.8;
 
-    // Show submit button (disabled)
-    tutorialTimeout(() => {
-        const btn = document.getElementById('tutorial-submit-btn');
-        if (btn) btn.classList.add('visible');
-    }, t);
+let audioPrefs = { musicVolume: 1, sfxVolume: 1, muted: false, clockTicks: true };
 
-    // Type "Prompt 1" into card 1 label
-    tutorialTimeout(() => {
-        const label = document.querySelector('#tutorial-prompt-1 .tutorial-prompt-label');
-        if (label) typeText(label, 'Prompt 1', 60);
-    }, t);
-    t += 480 + 150; // 8 chars * 60ms + 150ms gap
+function clampLevel(value) {
+    return Math.min(1, Math.max(0, value));
+}
 
-    // Type "Prompt 2" into card 2 label
-    tutorialTimeout(() => {
-        const label = document.querySelector('#tutorial-prompt-2 .tutorial-prompt-label');
-        if (label) typeText(label, 'Prompt 2', 60);
-    }, t);
-    t += 480 + 150;
+/**
+ * Volume the music should sit at when it isn't fading
+ */
+function musicLevel() {
+    return audioPrefs.muted ? 0 : MUSIC_MAX_VOLUME * audioPrefs.musicVolume;
+}
 
-    // Type answer 1: "A clever answer!"
-    tutorialTimeout(() => {
-        const tf = document.querySelector('#tutorial-prompt-1 .tutorial-text-field');
-        const typed = document.querySelector('#tutorial-prompt-1 .tutorial-typed-text');
-        if (tf && typed) {
-            tf.classList.add('has-text');
-            typeText(typed, 'A clever answer!', 55);
-        }
-    }, t);
-    t += 16 * 55 + 150; // 16 chars * 55ms + gap
+/**
+ * Apply a sound effect's own volume on top of the SFX preference
+ */
+function sfxLevel(volume) {
+    return audioPrefs.muted ? 0 : clampLevel(volume * audioPrefs.sfxVolume);
+}
 
-    // Type answer 2: "A witty response!"
-    tutorialTimeout(() => {
-        const tf = document.querySelector('#tutorial-prompt-2 .tutorial-text-field');
-        const typed = document.querySelector('#tutorial-prompt-2 .tutorial-typed-text');
-        if (tf && typed) {
-            tf.classList.add('has-text');
-            typeText(typed, 'A witty response!', 55);
-        }
-    }, t);
-    t += 17 * 55 + 200; // 17 chars * 55ms + gap
+/**
+ * Update the audio preferences and tell every sender the resulting values
+ */
+function setAudioPrefs(data) {
+    if (data.musicVolume !== undefined) audioPrefs.musicVolume = clampLevel(data.musicVolume);
+    if (data.sfxVolume !== undefined) audioPrefs.sfxVolume = clampLevel(data.sfxVolume);
+    if (data.muted !== undefined) audioPrefs.muted = data.muted;
+    if (data.clockTicks !== undefined) audioPrefs.clockTicks = data.clockTicks;
+    if (!audioPrefs.clockTicks) stopClockTicker();
+    console.log('Audio prefs:', JSON.stringify(audioPrefs));
+
+    // Fades read the level as they go; otherwise move the music now
+    if (musicTrack !== null && musicElement && !musicElement.paused && !isMusicFading()) {
+        musicElement.volume = trackLevel(musicTrack);
+    }
+    broadcastEvent('audio_prefs', audioPrefs);
+}
 
-    // Button enables (gray → pink)
-    tutorialTimeout(() => {
-        const btn = document.getElementById('tutorial-submit-btn');
-        if (btn) btn.classList.add('enabled');
-    }, t);
-    t += 500;
+// ── Music ────────────────────────────────────────────────────────────
+// Music tracks come from the "music" list in audio_manifest.json, named for
+// the phase they belong to: lobby, answering, voting or results. Screens name
+// their phase's track when they are registered, and while music is playing,
+// showing a screen with a different track crossfades to it (a phase with no
+// track in the manifest keeps whatever is playing). Senders can also
+// pick a track with music_play. With the mixer the new track fades in on a
+// second element while the old one fades out; on the single-element
+// fallback the old track fades out first and the new one fades in after it.
 
-    // Button pressed (pink → green)
-    tutorialTimeout(() => {
-        const btn = document.getElementById('tutorial-submit-btn');
-        if (btn) {
-            btn.classList.remove('enabled');
-            btn.classList.add('submitted');
-        }
-    }, t);
-    t += 500;
+const MUSIC_FADE_STEPS = 30;
+const PHASE_CROSSFADE_MS = 1500;
 
-    // Show "Submitted!" text
-    tutorialTimeout(() => {
-        const st = document.getElementById('tutorial-submitted-text');
-        if (st) st.classList.add('visible');
-    }, t);
-    t += 700;
+// Used until (or if) the manifest loads
+const DEFAULT_MUSIC_TRACKS = [
+    { name: 'lobby', url: 'lobby_music.m4a' }
+];
 
-    // Hold + fade out gap
-    t += 400;
+// Tracks by name: { name, url, volume, rate }
+let musicTracks = {};
 
-    // ===== Step 5: Matched Up (horizontal cards) =====
-    tutorialTimeout(() => showTutorialStep(5), t);
-    t += 1000 + 300; // 1s for text to appear + fade transition time
-
-    // Pink card flies in from left
-    tutorialTimeout(() => {
-        const card = document.getElementById('tutorial-vs-pink');
-        if (card) card.classList.add('visible');
-    }, t);
-    t += 600;
-
-    // "VS" appears
-    tutorialTimeout(() => {
-        const vs = document.getElementById('tutorial-vs-text');
-        if (vs) vs.classList.add('visible');
-    }, t);
-    t += 500;
-
-    // Green card flies in from right
-    tutorialTimeout(() => {
-        const card = document.getElementById('tutorial-vs-green');
-        if (card) card.classList.add('visible');
-    }, t);
-    t += 2600; // Hold for viewing
+// Track that is playing or fading in; null when the music is stopped
+let musicTrack = null;
 
-    // ===== Step 6: Earn Points + Bonus + Remember =====
-    tutorialTimeout(() => showTutorialStep(6), t);
-    t += 750; // Earn points text appears
-
-    // First +1 floats in
-    tutorialTimeout(() => {
-        const p1 = document.getElementById('tutorial-plus-one');
-        if (p1) p1.classList.add('float-in');
-    }, t);
-    t += 1000;
-
-    // First +1 floats out
-    tutorialTimeout(() => {
-        const p1 = document.getElementById('tutorial-plus-one');
-        if (p1) {
-            p1.classList.remove('float-in');
-            p1.classList.add('float-out');
-        }
-    }, t);
-    t += 500;
+// Element carrying musicTrack
+let musicElement = null;
 
-    // Bonus text fades in
-    tutorialTimeout(() => {
-        const bt = document.getElementById('tutorial-bonus-text');
-        if (bt) bt.classList.add('visible');
-    }, t);
-    t += 750;
-
-    // Second +1 (bonus) floats in
-    tutorialTimeout(() => {
-        const p2 = document.getElementById('tutorial-plus-one-bonus');
-        if (p2) p2.classList.add('float-in');
-    }, t);
-    t += 1000;
-
-    // Second +1 (bonus) floats out
-    tutorialTimeout(() => {
-        const p2 = document.getElementById('tutorial-plus-one-bonus');
-        if (p2) {
-            p2.classList.remove('float-in');
-            p2.classList.add('float-out');
+// Running fade interval per element
+const musicFades = new Map();
+
+function registerMusicTracks(entries) {
+    entries.forEach(entry => {
+        if (!entry || typeof entry.name !== 'string' || typeof entry.url !== 'string') {
+            console.warn('Music: skipping manifest entry without a name and url:', entry);
+            return;
         }
-    }, t);
-    t += 500;
+        musicTracks[entry.name] = {
+            name: entry.name,
+            url: entry.url,
+            // Media element volumes above 1 throw
+            volume: typeof entry.volume === 'number' ? clampLevel(entry.volume) : 1,
+            rate: typeof entry.rate === 'number' ? entry.rate : 1
+        };
+    });
+}
 
-    // Remember text appears with shake
-    tutorialTimeout(() => {
-        const rem = document.getElementById('tutorial-remember');
-        if (rem) {
-            rem.classList.add('visible', 'shaking');
+registerMusicTracks(DEFAULT_MUSIC_TRACKS);
+
+/**
+ * Elements music can play on: game-audio, plus a second one for crossfades
+ * when the mixer is running
+ */
+function getMusicElements() {
+    const elements = [document.getElementById('game-audio')];
+    if (mixer && mixer.crossfadeElement) elements.push(mixer.crossfadeElement);
+    return elements.filter(Boolean);
+}
+
+function trackLevel(name) {
+    const track = musicTracks[name];
+    // The mixer ducks on its own gain node; the single element ducks here
+    const duck = !mixer && isNarratorSpeaking() ? MUSIC_DUCK_GAIN : 1;
+    return musicLevel() * (track ? track.volume : 1) * duck;
+}
+
+function cancelMusicFade(audio) {
+    if (musicFades.has(audio)) {
+        clearInterval(musicFades.get(audio));
+        musicFades.delete(audio);
+    }
+}
+
+function isMusicFading() {
+    return musicFades.size > 0;
+}
+
+/**
+ * Fade an element's volume to getTarget() (re-read every step, so volume
+ * changes apply mid-fade), then call onDone
+ */
+function fadeMusicElement(audio, getTarget, durationMs, onDone) {
+    cancelMusicFade(audio);
+    if (!durationMs || durationMs <= 0) {
+        audio.volume = getTarget();
+        if (onDone) onDone();
+        return;
+    }
+    const startVolume = audio.volume;
+    let currentStep = 0;
+    musicFades.set(audio, setInterval(() => {
+        currentStep++;
+        const progress = currentStep / MUSIC_FADE_STEPS;
+        audio.volume = Math.min(1, Math.max(0, startVolume + (getTarget() - startVolume) * progress));
+        if (currentStep >= MUSIC_FADE_STEPS) {
+            cancelMusicFade(audio);
+            audio.volume = getTarget();
+            if (onDone) onDone();
         }
-    }, t);
-    t += 3750; // Hold for reading
+    }, durationMs / MUSIC_FADE_STEPS));
+}
+
+function pauseMusicElement(audio) {
+    cancelMusicFade(audio);
+    audio.pause();
+    audio.currentTime = 0;
+}
+
+/**
+ * Load a track onto an element and fade it in from silence
+ */
+function startTrackOnElement(audio, name, fadeInMs) {
+    const track = musicTracks[name];
+    if (audio.getAttribute('src') !== track.url) {
+        audio.src = track.url;
+        audio.load();
+    }
+    audio.loop = true;
+    audio.playbackRate = track.rate;
+    audio.currentTime = 0;
+    audio.volume = 0;
+    musicElement = audio;
+
+    audio.play().then(() => {
+        // Superseded while play() was starting
+        if (musicElement !== audio || musicTrack !== name) return;
+        console.log('Music started: ' + name + ', fading in over ' + fadeInMs + 'ms');
+
+        // Load SFX after music is playing and stable (5s delay)
+        setTimeout(initSfx, 5000);
+
+        fadeMusicElement(audio, () => trackLevel(name), fadeInMs);
+    }).catch(e => {
+        console.warn('Music play failed (' + name + '):', e.message);
+    });
+}
+
+/**
+ * Play a music track, crossfading from whatever is playing over fadeMs
+ */
+function playMusic(name, fadeMs) {
+    const track = musicTracks[name];
+    if (!track) {
+        console.warn('Music: unknown track', name);
+        return false;
+    }
+
+    const previousElement = musicTrack !== null ? musicElement : null;
+    musicTrack = name;
+
+    // Same file already playing: keep its place and just move to this track's level
+    if (previousElement && !previousElement.paused && previousElement.getAttribute('src') === track.url) {
+        previousElement.playbackRate = track.rate;
+        fadeMusicElement(previousElement, () => trackLevel(name), fadeMs);
+        console.log('Music: ' + name + ' shares the playing file, not restarting');
+        return true;
+    }
+
+    if (!previousElement || previousElement.paused) {
+        startTrackOnElement(getMusicElements()[0], name, fadeMs);
+        return true;
+    }
+
+    const elements = getMusicElements();
+    if (elements.length > 1) {
+        // Mixer: true crossfade on the other element
+        const next = elements.find(el => el !== previousElement);
+        fadeMusicElement(previousElement, () => 0, fadeMs, () => pauseMusicElement(previousElement));
+        startTrackOnElement(next, name, fadeMs);
+    } else {
+        // Single element: fade out, then fade the new track in
+        fadeMusicElement(previousElement, () => 0, fadeMs / 2, () => {
+            if (musicTrack === name) startTrackOnElement(previousElement, name, fadeMs / 2);
+        });
+    }
+    return true;
+}
+
+/**
+ * Fade whatever music is playing out over fadeDurationMs, then stop it
+ */
+function fadeStopMusic(fadeDurationMs) {
+    if (musicTrack === null) return;
+    musicTrack = null;
+    console.log('Music fading out over ' + fadeDurationMs + 'ms');
+    getMusicElements().forEach(audio => {
+        if (audio.paused) return;
+        fadeMusicElement(audio, () => 0, fadeDurationMs, () => {
+            pauseMusicElement(audio);
+            console.log('Music fade complete, stopped');
+        });
+    });
+}
 
-    // ===== Step 7: Get Ready! =====
-    tutorialTimeout(() => showTutorialStep(7), t);
-    t += 3000;
+function stopMusic() {
+    musicTrack = null;
+    getMusicElements().forEach(pauseMusicElement);
+    console.log('Music stopped immediately');
+}
 
-    // Tutorial complete - show loading screen as fallback
-    tutorialTimeout(() => {
-        tutorialRunning = false;
-        console.log('Tutorial animation complete');
-        // Show loading screen with spinner while waiting for next phase
-        const loadingScreen = screens.loading;
-        if (loadingScreen) {
-            loadingScreen.querySelector('.status').textContent = 'Loading Round 1...';
-        }
-        showScreen('loading');
-    }, t);
+/**
+ * The single-element fallback is about to reuse game-audio for an SFX
+ */
+function releaseMusicElement(audio) {
+    cancelMusicFade(audio);
+    if (musicElement === audio) musicTrack = null;
+}
 
-    console.log('Tutorial started, total duration: ' + t + 'ms');
+/**
+ * Follow the phase's track when a screen with one is shown while music plays
+ */
+function followScreenMusic(screen) {
+    if (screen.musicTrack && musicTracks[screen.musicTrack] &&
+        musicTrack !== null && musicTrack !== screen.musicTrack) {
+        playMusic(screen.musicTrack, PHASE_CROSSFADE_MS);
+    }
 }
 
-// ── Lobby/Results Background Music ──────────────────────────────────
+// ── Audio Mixer ──────────────────────────────────────────────────────
+//
+// Where Web Audio output works, sound goes through an AudioContext: the
+// game-audio element feeds a music gain node and SFX are decoded into
+// buffers that play through their own gain node. Music and SFX then play at
+// the same time, and the music ducks under each SFX. If Web Audio isn't
+// available, or its context never starts running, the single-element path
+// below is used instead.
 
-let musicFadeInterval = null;
-let musicFadeInInterval = null;
+const MIXER_START_TIMEOUT_MS = 1000;
+const MUSIC_DUCK_GAIN = 0.35;
+const MUSIC_DUCK_ATTACK_S = 0.05;
+const MUSIC_DUCK_RELEASE_S = 0.3;
 
-function startLobbyMusic(fadeInDurationMs) {
-    const audio = document.getElementById('game-audio');
-    if (!audio) return;
+// { context, musicGain, sfxGain, crossfadeElement, buffers, playing } once Web Audio is running
+let mixer = null;
 
-    // Clear any ongoing fades
-    if (musicFadeInterval) {
-        clearInterval(musicFadeInterval);
-        musicFadeInterval = null;
-    }
-    if (musicFadeInInterval) {
-        clearInterval(musicFadeInInterval);
-        musicFadeInInterval = null;
-    }
+// Resolves once the mixer is up, or has fallen back to the single element
+let mixerReady = null;
 
-    // Restore lobby music src if element was used for SFX
-    if (!audio.src.includes('lobby_music')) {
-        audio.src = 'lobby_music.m4a';
-        audio.loop = true;
-        audio.load();
+/**
+ * Start the AudioContext and route the game-audio element through it.
+ * Resolves with the mixer, or null if the single-element fallback is in use.
+ */
+function initMixer() {
+    if (mixerReady) return mixerReady;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        console.log('Audio mixer: Web Audio not available, using single audio element');
+        mixerReady = Promise.resolve(null);
+        return mixerReady;
     }
 
-    var maxVolume = 0.8;
-    audio.currentTime = 0;
-    audio.volume = 0;
-    audio.play().then(() => {
-        console.log('Lobby music started, fading in over ' + fadeInDurationMs + 'ms');
-
-        // Load SFX after music is playing and stable (5s delay)
-        setTimeout(initSfx, 5000);
+    let context;
+    try {
+        context = new AudioContextClass();
+    } catch (e) {
+        console.warn('Audio mixer: could not create AudioContext, using single audio element:', e.message);
+        mixerReady = Promise.resolve(null);
+        return mixerReady;
+    }
 
-        // Fade in
-        if (fadeInDurationMs && fadeInDurationMs > 0) {
-            var steps = 30;
-            var stepDelay = fadeInDurationMs / steps;
-            var volumeStep = maxVolume / steps;
-            var currentStep = 0;
-
-            musicFadeInInterval = setInterval(function() {
-                currentStep++;
-                var newVolume = Math.min(maxVolume, audio.volume + volumeStep);
-                audio.volume = newVolume;
-                if (currentStep >= steps || newVolume >= maxVolume) {
-                    clearInterval(musicFadeInInterval);
-                    musicFadeInInterval = null;
-                    audio.volume = maxVolume;
-                }
-            }, stepDelay);
-        } else {
-            audio.volume = maxVolume;
-        }
-    }).catch(e => {
-        console.warn('Lobby music play failed:', e.message);
-    });
+    const timeout = new Promise(resolve => setTimeout(resolve, MIXER_START_TIMEOUT_MS));
+    mixerReady = Promise.race([context.resume(), timeout])
+        .then(() => {
+            // Only take over the element once we know the context produces output,
+            // otherwise the music would go silent
+            if (context.state !== 'running') {
+                throw new Error('context is ' + context.state);
+            }
+            const musicGain = context.createGain();
+            const sfxGain = context.createGain();
+            musicGain.connect(context.destination);
+            sfxGain.connect(context.destination);
+
+            const audio = document.getElementById('game-audio');
+            if (audio) context.createMediaElementSource(audio).connect(musicGain);
+
+            // Second music element so tracks can crossfade
+            const crossfadeElement = document.createElement('audio');
+            crossfadeElement.preload = 'auto';
+            context.createMediaElementSource(crossfadeElement).connect(musicGain);
+
+            mixer = {
+                context: context,
+                musicGain: musicGain,
+                sfxGain: sfxGain,
+                crossfadeElement: crossfadeElement,
+                buffers: {},
+                playing: new Set()
+            };
+            console.log('Audio mixer: Web Audio running');
+            return mixer;
+        })
+        .catch(e => {
+            console.warn('Audio mixer: falling back to single audio element:', e.message);
+            context.close().catch(() => {});
+            return null;
+        });
+    return mixerReady;
 }
 
-function fadeStopLobbyMusic(fadeDurationMs) {
-    const audio = document.getElementById('game-audio');
-    if (!audio || audio.paused) return;
+/**
+ * Duck the music while any SFX is playing, and bring it back afterwards
+ */
+function updateMusicDuck() {
+    const now = mixer.context.currentTime;
+    const ducked = mixer.playing.size > 0 || isNarratorSpeaking();
+    mixer.musicGain.gain.cancelScheduledValues(now);
+    mixer.musicGain.gain.setTargetAtTime(
+        ducked ? MUSIC_DUCK_GAIN : 1,
+        now,
+        ducked ? MUSIC_DUCK_ATTACK_S : MUSIC_DUCK_RELEASE_S
+    );
+}
 
-    // Clear any in-progress fade-in
-    if (musicFadeInInterval) {
-        clearInterval(musicFadeInInterval);
-        musicFadeInInterval = null;
+/**
+ * Duck (or restore) the music as the narrator starts or stops speaking
+ */
+function duckMusicForSpeech() {
+    if (mixer) {
+        updateMusicDuck();
+    } else if (musicTrack !== null && musicElement && !musicElement.paused) {
+        fadeMusicElement(musicElement, () => trackLevel(musicTrack), 300);
     }
+}
 
-    // Clear any previous fade-out
-    if (musicFadeInterval) {
-        clearInterval(musicFadeInterval);
+/**
+ * Play a decoded SFX buffer through the mixer
+ */
+function playMixerSfx(name, rate, volume) {
+    const buffer = mixer.buffers[name];
+    if (!buffer) {
+        console.warn('SFX not ready: ' + name);
+        return;
     }
+    const source = mixer.context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+
+    const gain = mixer.context.createGain();
+    gain.gain.value = volume;
+    source.connect(gain);
+    gain.connect(mixer.sfxGain);
+
+    source.onended = () => {
+        gain.disconnect();
+        mixer.playing.delete(source);
+        updateMusicDuck();
+    };
+    mixer.playing.add(source);
+    updateMusicDuck();
+    source.start();
+    console.log('SFX played: ' + name);
+}
 
-    const steps = 30;
-    const stepDelay = fadeDurationMs / steps;
-    const volumeStep = audio.volume / steps;
-    let currentStep = 0;
-
-    console.log('Lobby music fading out over ' + fadeDurationMs + 'ms');
-
-    musicFadeInterval = setInterval(() => {
-        currentStep++;
-        const newVolume = Math.max(0, audio.volume - volumeStep);
-        audio.volume = newVolume;
-
-        if (currentStep >= steps || newVolume <= 0) {
-            clearInterval(musicFadeInterval);
-            musicFadeInterval = null;
-            audio.pause();
-            audio.currentTime = 0;
-            audio.volume = 0.8;
-            console.log('Lobby music fade complete, stopped');
-        }
-    }, stepDelay);
+function stopMixerSfx() {
+    if (mixer.playing.size === 0) return;
+    // onended fires for each source and restores the music level
+    mixer.playing.forEach(source => source.stop());
+    console.log('SFX stopped');
 }
 
 // ── Sound Effects ────────────────────────────────────────────────────
 //
-// Chromecast only outputs audio from a single <audio> element. SFX reuse
-// the same game-audio element (lobby music is always stopped before SFX).
-// Files are pre-fetched as blobs for instant playback.
-
+// With the mixer, SFX are decoded into AudioBuffers. Without it, Chromecast
+// only outputs audio from a single <audio> element, so SFX reuse the same
+// game-audio element (music is always stopped before SFX) and files
+// are pre-fetched as blobs for instant playback.
+//
+// The sounds themselves are listed in audio_manifest.json (name, url and
+// default volume, rate and preload priority), so adding one needs no code:
+// senders play anything in the manifest with play_sfx.
+
+var AUDIO_MANIFEST_URL = 'audio_manifest.json';
+
+// Playback rates play_sfx accepts
+var SFX_MIN_RATE = 0.25;
+var SFX_MAX_RATE = 4;
+
+// Used if the manifest can't be fetched
+var DEFAULT_SFX = [
+    { name: 'countdown_bell', url: 'countdown_bell.m4a', priority: 1 },
+    { name: 'bell', url: 'bell_ding.m4a', priority: 1 },
+    { name: 'vote', url: 'vote.m4a', priority: 2 }
+];
+
+// Manifest sounds by name: { name, url, volume, rate, priority }
+var sfxManifest = {};
+var sfxManifestLoaded = false;
 var sfxBlobUrls = {};
 var sfxInitStarted = false;
 var lastSfxStopTime = 0;
+// Last sound played on the single-element fallback
+var fallbackSfxName = null;
+
+var audioManifestRequest = null;
+
+/**
+ * Fetch the audio manifest once, falling back to the built-in sounds and
+ * tracks for anything it doesn't list. Resolves with { sfx, music }.
+ */
+function loadAudioManifest() {
+    if (audioManifestRequest) return audioManifestRequest;
+    audioManifestRequest = fetch(AUDIO_MANIFEST_URL)
+        .then(function(r) {
+            if (!r.ok) throw new Error('HTTP ' + r.status);
+            return r.json();
+        })
+        .catch(function(e) {
+            console.warn('Audio: could not load ' + AUDIO_MANIFEST_URL + ', using built-in sounds:', e.message);
+            return {};
+        })
+        .then(function(manifest) {
+            return {
+                sfx: Array.isArray(manifest.sfx) ? manifest.sfx : DEFAULT_SFX,
+                music: Array.isArray(manifest.music) ? manifest.music : DEFAULT_MUSIC_TRACKS
+            };
+        });
+    return audioManifestRequest;
+}
+
+/**
+ * Fill in defaults for a manifest entry; null if it can't be used
+ */
+function normalizeSound(entry) {
+    if (!entry || typeof entry.name !== 'string' || typeof entry.url !== 'string') {
+        console.warn('SFX: skipping manifest entry without a name and url:', entry);
+        return null;
+    }
+    return {
+        name: entry.name,
+        url: entry.url,
+        volume: typeof entry.volume === 'number' ? entry.volume : 0.8,
+        rate: typeof entry.rate === 'number' ? entry.rate : 1.0,
+        priority: typeof entry.priority === 'number' ? entry.priority : 10
+    };
+}
+
+/**
+ * Fetch one SFX file and prepare it for whichever audio path is in use
+ */
+function loadSfx(name, url) {
+    return fetch(url).then(function(r) {
+        if (mixer) {
+            return r.arrayBuffer()
+                .then(function(data) { return mixer.context.decodeAudioData(data); })
+                .then(function(buffer) {
+                    mixer.buffers[name] = buffer;
+                    console.log('SFX decoded: ' + name + ' (' + buffer.duration.toFixed(2) + 's)');
+                });
+        }
+        return r.blob().then(function(blob) {
+            sfxBlobUrls[name] = URL.createObjectURL(blob);
+            console.log('SFX loaded: ' + name + ' (' + blob.size + ' bytes)');
+        });
+    });
+}
+
+function isSfxLoaded(name) {
+    return mixer ? !!mixer.buffers[name] : !!sfxBlobUrls[name];
+}
 
 function initSfx() {
     if (sfxInitStarted) return;
     sfxInitStarted = true;
     console.log('SFX: loading sound effects...');
 
-    // Load sequentially to avoid network contention that causes lobby music stutter
-    var files = [['countdown_bell', 'countdown_bell.m4a'], ['bell', 'bell_ding.m4a'], ['vote', 'vote.m4a']];
+    var sounds = [];
+    var failed = [];
+
+    // Load sequentially, highest priority (lowest number) first, to avoid
+    // network contention that causes lobby music stutter
     var loadNext = function(i) {
-        if (i >= files.length) {
+        if (i >= sounds.length) {
             console.log('SFX: all sound effects loaded');
+            var loaded = sounds.map(function(s) { return s.name; }).filter(isSfxLoaded);
+            broadcastEvent('sfx_ready', { loaded: loaded, failed: failed, mixer: mixer !== null });
             return;
         }
-        var name = files[i][0], url = files[i][1];
-        fetch(url)
-            .then(function(r) { return r.blob(); })
-            .then(function(blob) {
-                sfxBlobUrls[name] = URL.createObjectURL(blob);
-                console.log('SFX loaded: ' + name + ' (' + blob.size + ' bytes)');
-                loadNext(i + 1);
-            })
+        var sound = sounds[i];
+        loadSfx(sound.name, sound.url)
             .catch(function(e) {
-                console.warn('SFX load failed ' + name + ':', e.message);
+                console.warn('SFX load failed ' + sound.name + ':', e.message);
+                failed.push(sound.name);
+            })
+            .then(function() {
+                broadcastEvent('sfx_load_progress', {
+                    name: sound.name,
+                    ok: isSfxLoaded(sound.name),
+                    loaded: i + 1,
+                    total: sounds.length
+                });
                 loadNext(i + 1);
             });
     };
-    loadNext(0);
+
+    initMixer()
+        .then(loadAudioManifest)
+        .then(function(manifest) {
+            manifest.sfx.map(normalizeSound).forEach(function(sound) {
+                if (!sound) return;
+                sfxManifest[sound.name] = sound;
+                sounds.push(sound);
+            });
+            sfxManifestLoaded = true;
+            sounds.sort(function(a, b) { return a.priority - b.priority; });
+            loadNext(0);
+        });
 }
 
-function doPlaySfx(name, rate) {
+function doPlaySfx(name, rate, volume) {
     var blobUrl = sfxBlobUrls[name];
     var audio = document.getElementById('game-audio');
     if (!audio || !blobUrl) {
@@ -1337,15 +3669,17 @@ function doPlaySfx(name, rate) {
     }
 
     // Pause current audio first so Chromecast can cleanly swap src
+    releaseMusicElement(audio);
     if (!audio.paused) {
         audio.pause();
     }
 
     // Reuse the single audio element — swap src and play
+    fallbackSfxName = name;
     audio.loop = false;
     audio.src = blobUrl;
-    audio.playbackRate = rate || 1.0;
-    audio.volume = 0.8;
+    audio.playbackRate = rate;
+    audio.volume = volume;
     audio.load();
     audio.play().then(function() {
         console.log('SFX played: ' + name);
@@ -1354,22 +3688,50 @@ function doPlaySfx(name, rate) {
     });
 }
 
-function playSfx(name, rate) {
+/**
+ * Play a sound from the manifest; rate and volume default to its manifest values
+ */
+function playSfx(name, rate, volume) {
+    var sound = sfxManifest[name];
+    if (rate === undefined) rate = sound ? sound.rate : 1.0;
+    if (volume === undefined) volume = sound ? sound.volume : 0.8;
+
+    volume = sfxLevel(volume);
+    if (volume === 0) return;
+
+    if (mixer) {
+        playMixerSfx(name, rate, volume);
+        return;
+    }
     // If audio was just stopped (e.g. early complete), give the element time to settle
     // before swapping src, otherwise the Chromecast may silently fail
     var timeSinceStop = Date.now() - lastSfxStopTime;
     if (timeSinceStop < 150) {
-        setTimeout(function() { doPlaySfx(name, rate); }, 150 - timeSinceStop);
+        setTimeout(function() { doPlaySfx(name, rate, volume); }, 150 - timeSinceStop);
     } else {
-        doPlaySfx(name, rate);
+        doPlaySfx(name, rate, volume);
     }
 }
 
+/**
+ * The sound playing on the single-element fallback, or null
+ */
+function playingFallbackSfx() {
+    var audio = document.getElementById('game-audio');
+    if (!audio || audio.paused || audio.ended) return null;
+    if (musicTrack !== null && musicElement === audio) return null;
+    return fallbackSfxName;
+}
+
 function stopSfx() {
+    if (mixer) {
+        stopMixerSfx();
+        return;
+    }
     var audio = document.getElementById('game-audio');
     if (!audio || audio.paused) return;
-    // Only stop if currently playing a SFX (not lobby music)
-    if (!audio.src.includes('lobby_music')) {
+    // Only stop if currently playing a SFX (not music)
+    if (musicTrack === null || musicElement !== audio) {
         audio.pause();
         audio.currentTime = 0;
         lastSfxStopTime = Date.now();
@@ -1377,24 +3739,575 @@ function stopSfx() {
     }
 }
 
-function stopLobbyMusic() {
-    const audio = document.getElementById('game-audio');
-    if (!audio) return;
+// ── Narrator ─────────────────────────────────────────────────────────
+// Optional text-to-speech for players across the room: reads the prompt and
+// both answers when a matchup's voting starts, and announces the winner on
+// matchup_results. Turned on and tuned with set_narrator. Lines are queued so
+// they never overlap, a new matchup (or its results) replaces whatever is
+// still queued, and the music ducks while the narrator speaks.
 
-    // Clear any ongoing fades
-    if (musicFadeInInterval) {
-        clearInterval(musicFadeInInterval);
-        musicFadeInInterval = null;
+const NARRATOR_MIN_RATE = 0.5;
+const NARRATOR_MAX_RATE = 2;
+
+let narratorSettings = { enabled: false, voice: null, rate: 1 };
+
+// Lines waiting to be spoken, and the one being spoken
+let narratorQueue = [];
+let narratorUtterance = null;
+
+// What was last narrated, so repeated matchup_voting messages are read once
+let narratorLastKey = null;
+
+function isNarratorAvailable() {
+    return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+}
+
+function isNarratorSpeaking() {
+    return narratorUtterance !== null;
+}
+
+/**
+ * Voice matching the setting by name, or failing that by language (e.g. "en-GB")
+ */
+function findNarratorVoice() {
+    if (!narratorSettings.voice) return null;
+    const voices = window.speechSynthesis.getVoices();
+    return voices.find(v => v.name === narratorSettings.voice) ||
+        voices.find(v => v.lang.toLowerCase().startsWith(narratorSettings.voice.toLowerCase())) ||
+        null;
+}
+
+function speakNext() {
+    narratorUtterance = null;
+    if (narratorQueue.length === 0) {
+        duckMusicForSpeech();
+        return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(narratorQueue.shift());
+    const voice = findNarratorVoice();
+    if (voice) utterance.voice = voice;
+    else utterance.lang = currentLocale;
+    utterance.rate = narratorSettings.rate;
+    utterance.volume = audioPrefs.muted ? 0 : 1;
+    utterance.onend = utterance.onerror = () => {
+        // Ignore events from an utterance that has been cancelled
+        if (narratorUtterance === utterance) speakNext();
+    };
+    narratorUtterance = utterance;
+    duckMusicForSpeech();
+    window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * Replace anything still queued with these lines
+ */
+function narrate(key, lines) {
+    if (!narratorSettings.enabled || !isNarratorAvailable()) return;
+    if (key === narratorLastKey) return;
+    narratorLastKey = key;
+
+    stopNarrator();
+    narratorQueue = lines.filter(line => line && line.trim() !== '');
+    speakNext();
+}
+
+function stopNarrator() {
+    narratorQueue = [];
+    if (narratorUtterance) {
+        narratorUtterance = null;
+        window.speechSynthesis.cancel();
+        duckMusicForSpeech();
     }
-    if (musicFadeInterval) {
-        clearInterval(musicFadeInterval);
-        musicFadeInterval = null;
+}
+
+function narrateMatchupVoting(data) {
+    const lines = [data.promptText];
+    votingAnswers(data).forEach((answer, index) => {
+        if (index > 0) lines.push(t('narrator.or'));
+        lines.push(answer);
+    });
+    narrate('voting:' + data.matchupNumber + ':' + data.promptText, lines);
+}
+
+function narrateMatchupResults(data) {
+    // Announce the same winners the screen marks
+    const answers = resultAnswers(data);
+    const outcomes = scoreMatchup(answers, data.abstainVoters.length).outcomes;
+    const leaders = answers.filter((answer, index) => outcomes[index].winner);
+    let announcement;
+    if (leaders.length === 0) {
+        announcement = t('narrator.nobody');
+    } else if (leaders.length > 1) {
+        announcement = t('narrator.tie');
+    } else {
+        announcement = t('narrator.wins', { name: leaders[0].playerName });
     }
+    narrate('results:' + data.promptText, [announcement]);
+}
 
-    audio.pause();
-    audio.currentTime = 0;
-    audio.volume = 0.8;
-    console.log('Lobby music stopped immediately');
+/**
+ * Apply set_narrator and tell every sender the resulting settings
+ */
+function setNarrator(data) {
+    if (data.enabled !== undefined) narratorSettings.enabled = data.enabled;
+    if (data.voice !== undefined) narratorSettings.voice = data.voice || null;
+    if (data.rate !== undefined) {
+        narratorSettings.rate = Math.min(NARRATOR_MAX_RATE, Math.max(NARRATOR_MIN_RATE, data.rate));
+    }
+    if (!narratorSettings.enabled) stopNarrator();
+    console.log('Narrator settings:', JSON.stringify(narratorSettings));
+    broadcastNarratorSettings();
+}
+
+function broadcastNarratorSettings() {
+    const available = isNarratorAvailable();
+    const voices = available ? window.speechSynthesis.getVoices() : [];
+    broadcastEvent('narrator_settings', {
+        enabled: narratorSettings.enabled,
+        voice: narratorSettings.voice,
+        rate: narratorSettings.rate,
+        available: available,
+        voices: voices.map(v => ({ name: v.name, lang: v.lang }))
+    });
+}
+
+function pauseNarrator(paused) {
+    if (!isNarratorSpeaking()) return;
+    if (paused) window.speechSynthesis.pause();
+    else window.speechSynthesis.resume();
+}
+
+// ── Themes ──────────────────────────────────────────────────────────
+// set_theme swaps the CSS palette, background, font and branded images at
+// runtime. A message names a built-in theme and can override any part of it.
+// Custom assets are loaded before anything changes; if one fails (or takes
+// too long) the TV goes back to the default theme instead of showing a
+// half-applied one with broken images.
+
+// Palette entries a theme can set, as --halfwit-<name> in styles.css
+const THEME_COLORS = ['teal', 'lime', 'pink', 'yellow', 'orange', 'white', 'dark', 'card-bg'];
+
+const DEFAULT_THEME_IMAGES = {
+    logo: 'halfwit_logo.png',
+    winner: 'halfwit_winner.png',
+    loser: 'halfwit_loser.png'
+};
+
+const THEME_ASSET_TIMEOUT_MS = 5000;
+
+// Built-in themes. "teal" doubles as the text colour on cards and "dark" as
+// the ink on cards, so dark themes flip both along with card-bg.
+const THEMES = {
+    default: {},
+    dark: {
+        colors: {
+            teal: '#4FC3C3',
+            dark: '#ECECF4',
+            'card-bg': 'rgba(38, 38, 58, 0.95)'
+        },
+        background: '#12121F'
+    },
+    holiday: {
+        colors: {
+            teal: '#1F6E43',
+            lime: '#8FD16A',
+            pink: '#D7263D',
+            yellow: '#F4C542',
+            dark: '#2B1B17'
+        },
+        background: 'linear-gradient(160deg, #1F6E43 0%, #0F4A2C 100%)',
+        font: 'Georgia, \'Times New Roman\', serif'
+    },
+    high_contrast: {
+        colors: {
+            teal: '#003C3C',
+            lime: '#C6FF00',
+            pink: '#FF4FB8',
+            yellow: '#FFEB3B',
+            white: '#FFFFFF',
+            dark: '#000000',
+            'card-bg': '#FFFFFF'
+        },
+        background: '#000000'
+    }
+};
+
+let activeTheme = resolveTheme({});
+
+// Bumped by every set_theme, so a slow asset load can't undo a newer theme
+let themeRequest = 0;
+
+/**
+ * Check set_theme's theme name, colour names and image names
+ */
+function validateTheme(data) {
+    const errors = [];
+    if (data.theme !== undefined && !THEMES[data.theme]) {
+        errors.push('theme: unknown theme "' + data.theme + '"');
+    }
+    Object.keys(data.colors || {}).forEach(name => {
+        if (!THEME_COLORS.includes(name)) {
+            errors.push('colors.' + name + ': unknown colour, expected one of ' + THEME_COLORS.join(', '));
+        } else if (typeof data.colors[name] !== 'string') {
+            errors.push('colors.' + name + ': expected string');
+        }
+    });
+    Object.keys(data.images || {}).forEach(name => {
+        if (!DEFAULT_THEME_IMAGES[name]) {
+            errors.push('images.' + name + ': unknown image, expected one of ' + Object.keys(DEFAULT_THEME_IMAGES).join(', '));
+        } else if (typeof data.images[name] !== 'string') {
+            errors.push('images.' + name + ': expected string');
+        }
+    });
+    return errors;
+}
+
+/**
+ * The named built-in theme (default if none) with the message's overrides
+ */
+function resolveTheme(data) {
+    const name = data.theme || 'default';
+    const base = THEMES[name];
+    return {
+        name: name,
+        colors: Object.assign({}, base.colors, data.colors),
+        background: data.background || base.background || null,
+        font: data.font || base.font || null,
+        fontUrl: data.fontUrl || base.fontUrl || null,
+        images: Object.assign({}, DEFAULT_THEME_IMAGES, base.images, data.images)
+    };
+}
+
+/**
+ * Resolve once `promise` settles, or reject after THEME_ASSET_TIMEOUT_MS
+ */
+function withAssetTimeout(promise, url) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timed out')), THEME_ASSET_TIMEOUT_MS);
+        promise.then(value => {
+            clearTimeout(timer);
+            resolve(value);
+        }, e => {
+            clearTimeout(timer);
+            reject(e);
+        });
+    }).catch(e => {
+        console.warn('Theme asset failed:', url, e.message);
+        throw url;
+    });
+}
+
+function loadThemeImage(url) {
+    return withAssetTimeout(new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = resolve;
+        img.onerror = () => reject(new Error('could not load image'));
+        img.src = url;
+    }), url);
+}
+
+function loadThemeFont(font, url) {
+    if (typeof FontFace === 'undefined' || !document.fonts) return Promise.resolve();
+    // The file provides the first family in the theme's font list
+    const family = font.split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+    const face = new FontFace(family, 'url(' + JSON.stringify(url) + ')');
+    return withAssetTimeout(face.load(), url).then(loaded => {
+        document.fonts.add(loaded);
+    });
+}
+
+/**
+ * Load everything the theme needs that the receiver doesn't already have.
+ * Resolves with the URLs that failed.
+ */
+function loadThemeAssets(theme) {
+    const urls = Object.keys(theme.images)
+        .filter(name => theme.images[name] !== DEFAULT_THEME_IMAGES[name])
+        .map(name => theme.images[name]);
+    const backgroundUrl = /url\(\s*['"]?([^'")]+)['"]?\s*\)/.exec(theme.background || '');
+    if (backgroundUrl) urls.push(backgroundUrl[1]);
+
+    const loads = urls.map(loadThemeImage);
+    if (theme.font && theme.fontUrl) loads.push(loadThemeFont(theme.font, theme.fontUrl));
+
+    const failed = [];
+    return Promise.all(loads.map(load => load.catch(url => failed.push(url)))).then(() => failed);
+}
+
+/**
+ * Image for a theme slot (logo, winner, loser) in the current theme
+ */
+function themeImage(name) {
+    return activeTheme.images[name];
+}
+
+function applyTheme(theme) {
+    const root = document.documentElement.style;
+    THEME_COLORS.forEach(name => {
+        if (theme.colors[name]) root.setProperty('--halfwit-' + name, theme.colors[name]);
+        else root.removeProperty('--halfwit-' + name);
+    });
+    if (theme.background) root.setProperty('--halfwit-background', theme.background);
+    else root.removeProperty('--halfwit-background');
+    if (theme.font) root.setProperty('--halfwit-font', theme.font);
+    else root.removeProperty('--halfwit-font');
+
+    activeTheme = theme;
+    document.body.dataset.theme = theme.name;
+    document.querySelectorAll('.logo-image').forEach(img => {
+        img.src = themeImage('logo');
+    });
+    document.querySelectorAll('.result-badge').forEach(img => {
+        img.src = themeImage(img.dataset.badge === 'winner' ? 'winner' : 'loser');
+    });
+}
+
+/**
+ * Apply set_theme once its assets are in, or the default theme if they
+ * can't be loaded, and tell every sender which theme is showing
+ */
+function setTheme(data, senderId) {
+    const errors = validateTheme(data);
+    if (errors.length > 0) {
+        sendMessageError(senderId, data.type, errors);
+        return;
+    }
+
+    const request = ++themeRequest;
+    const theme = resolveTheme(data);
+    loadThemeAssets(theme).then(failed => {
+        if (request !== themeRequest) return;
+        if (failed.length > 0) {
+            console.warn('Theme "' + theme.name + '" could not be loaded, using the default theme');
+            applyTheme(resolveTheme({}));
+        } else {
+            console.log('Theme:', theme.name);
+            applyTheme(theme);
+        }
+        broadcastEvent('theme_changed', {
+            theme: activeTheme.name,
+            requested: theme.name,
+            failedAssets: failed
+        });
+    });
+}
+
+// ── Accessibility ───────────────────────────────────────────────────
+// set_accessibility turns on reduced motion, larger card text, higher
+// contrast and text labels for cues that are otherwise only a colour (the
+// winner highlight, the timer's warning and critical states). Each option
+// is a class on <body> that styles.css keys off; reduced motion also changes
+// how the tutorial and results timelines are built, so it applies from the
+// next animation on. Timelines keep the same cues either way.
+
+let accessibility = { reducedMotion: false, largeText: false, highContrast: false, cueLabels: false };
+
+const ACCESSIBILITY_CLASSES = {
+    reducedMotion: 'reduced-motion',
+    largeText: 'large-text',
+    highContrast: 'high-contrast',
+    cueLabels: 'cue-labels'
+};
+
+/**
+ * Apply set_accessibility and tell every sender the resulting settings.
+ * `enabled` sets every option at once; the individual fields override it.
+ */
+function setAccessibility(data) {
+    Object.keys(ACCESSIBILITY_CLASSES).forEach(option => {
+        if (data[option] !== undefined) accessibility[option] = data[option];
+        else if (data.enabled !== undefined) accessibility[option] = data.enabled;
+        document.body.classList.toggle(ACCESSIBILITY_CLASSES[option], accessibility[option]);
+    });
+    console.log('Accessibility:', JSON.stringify(accessibility));
+    broadcastEvent('accessibility', accessibility);
+}
+
+// ── Session Recorder ────────────────────────────────────────────────
+// Every incoming message and sender connect/disconnect goes into a ring
+// buffer, so when something breaks on a TV the sender can ask for the exact
+// sequence that caused it (`export_recording`). Opening the receiver with
+// ?replay=<bundle url> plays such a bundle back through handleMessage.
+
+const RECORDING_CAPACITY = 500;
+// Also cap the total size, since each message can be up to 64KB
+const RECORDING_MAX_BYTES = 2 * 1024 * 1024;
+// Cast messages are capped at 64KB; stay well under it even for multi-byte text
+const RECORDING_CHUNK_CHARS = 16000;
+
+let sessionRecording = [];
+let sessionRecordingBytes = 0;
+let recordingExportCount = 0;
+
+/**
+ * Record an event before it is handled. Each entry keeps the sender roles as
+ * they were, so a bundle whose first entries were dropped still replays with
+ * the right host.
+ */
+function recordSessionEvent(kind, senderId, message) {
+    const json = typeof message === 'string' ? message : JSON.stringify(message) || '';
+    const bytes = new TextEncoder().encode(json).length;
+    sessionRecording.push({
+        time: Date.now(),
+        kind: kind,
+        senderId: senderId,
+        message: message,
+        bytes: bytes,
+        senders: snapshotSenderRoles()
+    });
+    sessionRecordingBytes += bytes;
+    while (sessionRecording.length > RECORDING_CAPACITY ||
+           (sessionRecordingBytes > RECORDING_MAX_BYTES && sessionRecording.length > 1)) {
+        sessionRecordingBytes -= sessionRecording.shift().bytes;
+    }
+}
+
+function snapshotSenderRoles() {
+    return {
+        connected: connectedSenders.slice(),
+        hostSenderId: hostSenderId,
+        hostClaimed: hostClaimed,
+        spectators: Array.from(spectatorSenders),
+        incompatible: Array.from(incompatibleSenders)
+    };
+}
+
+/**
+ * Put the sender roles back as a bundle recorded them, before replaying it
+ */
+function restoreSenderRoles(senders) {
+    connectedSenders = senders.connected.slice();
+    hostSenderId = senders.hostSenderId;
+    hostClaimed = senders.hostClaimed;
+    spectatorSenders.clear();
+    senders.spectators.forEach(id => spectatorSenders.add(id));
+    incompatibleSenders.clear();
+    senders.incompatible.forEach(id => incompatibleSenders.add(id));
+}
+
+/**
+ * Package the ring buffer as a replayable bundle
+ */
+function buildRecordingBundle() {
+    const startedAt = sessionRecording.length > 0 ? sessionRecording[0].time : Date.now();
+    return {
+        format: 'halfwit-recording',
+        version: 1,
+        protocolVersion: PROTOCOL_VERSION,
+        startedAt: startedAt,
+        exportedAt: Date.now(),
+        userAgent: navigator.userAgent,
+        // Sender roles when the first entry arrived
+        senders: sessionRecording.length > 0 ? sessionRecording[0].senders : snapshotSenderRoles(),
+        entries: sessionRecording.map(entry => ({
+            offsetMs: entry.time - startedAt,
+            kind: entry.kind,
+            senderId: entry.senderId,
+            message: entry.message
+        }))
+    };
+}
+
+/**
+ * Send the recording bundle to a sender as a series of recording_chunk
+ * messages; the sender joins each chunk's `data` in `index` order
+ */
+function exportRecording(senderId) {
+    const json = JSON.stringify(buildRecordingBundle());
+    const exportId = Date.now() + '-' + (++recordingExportCount);
+    const count = Math.max(1, Math.ceil(json.length / RECORDING_CHUNK_CHARS));
+
+    console.log('Exporting session recording:', sessionRecording.length + ' entries in ' + count + ' chunks');
+
+    for (let index = 0; index < count; index++) {
+        sendToSender(senderId, {
+            type: 'recording_chunk',
+            exportId: exportId,
+            index: index,
+            count: count,
+            data: json.slice(index * RECORDING_CHUNK_CHARS, (index + 1) * RECORDING_CHUNK_CHARS)
+        });
+    }
+}
+
+/**
+ * Replay mode: fetch a recording bundle and feed it back through the normal
+ * sender handlers at its original timing divided by `speed`. No Cast session
+ * is started, so replies to the (absent) sender are only logged.
+ */
+function startReplay(url, speed) {
+    console.log('Replay mode: loading ' + url + ' at ' + speed + 'x');
+    fetch(url)
+        .then(r => {
+            if (!r.ok) throw new Error('HTTP ' + r.status);
+            return r.json();
+        })
+        .then(bundle => {
+            if (bundle.format !== 'halfwit-recording' || !Array.isArray(bundle.entries)) {
+                throw new Error('not a Half-Wit recording bundle');
+            }
+            // Older bundles lack roles; they replay from no senders connected
+            if (bundle.senders) restoreSenderRoles(bundle.senders);
+            console.log('Replaying ' + bundle.entries.length + ' recorded events');
+            bundle.entries.forEach(entry => {
+                setTimeout(() => replayEntry(entry), entry.offsetMs / speed);
+            });
+        })
+        .catch(e => console.error('Replay failed:', e.message));
+}
+
+function replayEntry(entry) {
+    switch (entry.kind) {
+        case 'connect':
+            onSenderConnected(entry.senderId);
+            break;
+        case 'disconnect':
+            onSenderDisconnected(entry.senderId);
+            break;
+        case 'message':
+            handleMessage(entry.message, entry.senderId);
+            break;
+        default:
+            console.warn('Skipping unknown recording entry:', entry.kind);
+    }
+}
+
+/**
+ * A sender connected: work out its role and send it the handshake
+ */
+function onSenderConnected(senderId) {
+    recordSessionEvent('connect', senderId);
+    let hasState;
+    if (addSender(senderId)) {
+        // Keep (or bring back) a game in progress so a reconnecting host can resync;
+        // otherwise reset to the connecting screen to clear stale state from a previous session
+        hasState = restoreScreenState();
+        if (!hasState) {
+            clearStateCache();
+            showScreen('connecting');
+        }
+    } else {
+        // Spectators never change what is on screen
+        hasState = stateCache.current !== null && currentScreen === stateCache.current;
+    }
+    // Send ready acknowledgment so sender knows receiver is listening, its role, and
+    // whether there is game state it can fetch with request_state
+    sendToSender(senderId, buildReceiverReady(senderId, hasState));
+    console.log('Sent receiver_ready to sender:', senderId);
+}
+
+/**
+ * A sender disconnected: hand host on, and wind down if nobody is left
+ */
+function onSenderDisconnected(senderId) {
+    recordSessionEvent('disconnect', senderId);
+    removeSender(senderId);
+    // If no more senders, show end screen and stop any playing music
+    if (connectedSenders.length === 0) {
+        showScreen('end');
+        setTimeout(() => stopMusic(), 2000);
+    }
 }
 
 /**
@@ -1404,6 +4317,7 @@ function initReceiver() {
     console.log('Initializing Half-Wit Cast Receiver');
 
     const context = cast.framework.CastReceiverContext.getInstance();
+    castContext = context;
     const options = new cast.framework.CastReceiverOptions();
 
     // Disable default media playback UI
@@ -1413,30 +4327,20 @@ function initReceiver() {
     context.addCustomMessageListener(HALFWIT_NAMESPACE, (event) => {
         console.log('Custom message received:', event);
         if (event.data) {
-            handleMessage(typeof event.data === 'string' ? event.data : JSON.stringify(event.data));
+            handleMessage(typeof event.data === 'string' ? event.data : JSON.stringify(event.data), event.senderId);
         }
     });
 
     // Handle sender connected — notify sender that receiver is ready for messages
     context.addEventListener(cast.framework.system.EventType.SENDER_CONNECTED, (event) => {
         console.log('Sender connected:', event);
-        // Reset to connecting screen to clear any stale state from a previous session
-        showScreen('connecting');
-        // Clear any running tutorial
-        clearTutorialTimeouts();
-        // Send ready acknowledgment so sender knows receiver is listening
-        context.sendCustomMessage(HALFWIT_NAMESPACE, event.senderId, JSON.stringify({ type: 'receiver_ready' }));
-        console.log('Sent receiver_ready to sender:', event.senderId);
+        onSenderConnected(event.senderId);
     });
 
     // Handle sender disconnected
     context.addEventListener(cast.framework.system.EventType.SENDER_DISCONNECTED, (event) => {
         console.log('Sender disconnected:', event);
-        // If no more senders, show end screen and stop any playing music
-        if (context.getSenders().length === 0) {
-            showScreen('end');
-            setTimeout(() => stopLobbyMusic(), 2000);
-        }
+        onSenderDisconnected(event.senderId);
     });
 
     // Start the receiver
@@ -1448,9 +4352,26 @@ function initReceiver() {
     console.log('Cast Receiver started');
 }
 
+/**
+ * Start the Cast Receiver, or replay a recorded session when opened with
+ * ?replay=<bundle url>[&replaySpeed=2]
+ */
+function startApp() {
+    initMixer();
+    loadAudioManifest().then(manifest => registerMusicTracks(manifest.music));
+
+    const params = new URLSearchParams(window.location.search);
+    const replayUrl = params.get('replay');
+    if (replayUrl) {
+        startReplay(replayUrl, parseFloat(params.get('replaySpeed')) || 1);
+    } else {
+        initReceiver();
+    }
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initReceiver);
+    document.addEventListener('DOMContentLoaded', startApp);
 } else {
-    initReceiver();
+    startApp();
 }
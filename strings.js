@@ -0,0 +1,288 @@
+/**
+ * Half-Wit Cast Receiver - String Catalogs
+ *
+ * Every piece of text the receiver shows, per locale. index.html loads this
+ * before receiver.js, which picks a catalog from the `locale` sent in `hello`
+ * or `lobby` and falls back to English for missing locales or keys.
+ *
+ * Values are either a string or, for text that depends on a count, an object
+ * keyed by Intl.PluralRules category ('one', 'other', ...). `{name}`
+ * placeholders are filled in by receiver.js. Strings used for elements in
+ * index.html (see their data-i18n attributes) may contain markup; there a
+ * placeholder marks where the element's data-slot child goes.
+ */
+
+const STRING_CATALOGS = {
+    en: {
+        'connecting.status': 'Connecting...',
+
+        'lobby.playerCount': { one: '{players}/{count} player', other: '{players}/{count} players' },
+        'lobby.roundCount': { one: '{count} round', other: '{count} rounds' },
+        'lobby.answerTime': '{minutes} Min to answer',
+        'lobby.anonymous': 'Anonymous Mode',
+        'lobby.audience': { one: '+{count} in the audience', other: '+{count} in the audience' },
+        'lobby.waiting': 'Waiting for host to start...',
+        'lobby.playersHeader': 'Players',
+        'lobby.joinCode': 'Join code',
+        'lobby.ready': 'Ready',
+        'lobby.idle': 'Idle',
+        'lobby.disconnected': 'Disconnected',
+
+        'tutorial.welcome': 'Welcome to Half/Wit!',
+        'tutorial.howItWorks': 'Here\'s How it Works...',
+        'tutorial.roundsIntro': 'This Game Will Consist of',
+        'tutorial.roundsOutro': { one: 'Round', other: 'Rounds' },
+        'tutorial.prompts': 'You Will be Given<br><span class="highlight-lime">2 Prompts</span> at the Beginning of Each Round',
+        'tutorial.timeLimit': 'Answer BOTH Within the<br>{time} Time Limit',
+        'tutorial.timeLabel': '{minutes} Minute',
+        'tutorial.placeholder': 'Your answer (80 chars max)',
+        'tutorial.promptLabel': 'Prompt {number}',
+        'tutorial.answer1': 'A clever answer!',
+        'tutorial.answer2': 'A witty response!',
+        'tutorial.submit': 'Submit Answers',
+        'tutorial.submitted': 'Submitted!',
+        'tutorial.matchedUp': 'Your Responses will be <span class="highlight-lime">Matched Up</span> Against Another Player',
+        'tutorial.vs': 'vs',
+        'tutorial.earnPoints': 'Earn <span class="highlight-lime">1 Point</span> for Each Player That<br>Votes for Your Response',
+        'tutorial.bonus': 'Plus Earn a <span class="highlight-lime">Matchup Bonus</span> if You Receive<br>More Votes than Your Opponent',
+        'tutorial.remember': 'But Remember...<br><br>You <span class="highlight-pink tutorial-underline">Don\'t</span> Get to Vote on<br>Prompts You Answered',
+        'tutorial.readyTitle': 'That\'s It!',
+        'tutorial.ready': 'Now Get Your Wits About You<br>and Get Ready to Play!',
+
+        'loading.game': 'Loading Game...',
+        'loading.round': 'Loading Round {round}...',
+
+        'round.label': 'Round {round}',
+        'countdown.progress': { one: 'of {total} round', other: 'of {total} rounds' },
+        'answering.status': {
+            one: 'Answers Received for {received} of {total} Player',
+            other: 'Answers Received for {received} of {total} Players'
+        },
+
+        'voting.transition': 'Time to Vote!',
+        'voting.vs': 'VS',
+        'voting.seconds': '{seconds}s',
+        'voting.status': {
+            one: 'Votes Received for {received} of {total} Player',
+            other: 'Votes Received for {received} of {total} Players'
+        },
+        'voting.progress': 'Matchup {number} of {total}',
+        'voting.audience': { one: '{count} audience vote', other: '{count} audience votes' },
+
+        'results.votes': 'Votes: +{votes}',
+        'results.bonus': 'Matchup Bonus: +1',
+        'results.abstained': 'Abstained:',
+        'results.audience': '{percent} of the audience',
+
+        'roundResults.title': 'Round {round} Results',
+        'roundResults.roundScores': 'Round Scores',
+        'roundResults.standings': 'Current Standings',
+
+        'gameResults.title': 'Game Results',
+        'gameResults.winner': 'Winner',
+        'gameResults.halfwit': 'Half-Wit',
+
+        'score.points': { one: '{count} Pt', other: '{count} Pts' },
+        'score.rank': '#{rank}',
+
+        'update.appStatus': 'Please update the Half-Wit app',
+        'update.appDetail': 'This version of the app is too old to play on this TV.',
+        'update.receiverStatus': 'This TV needs an update',
+        'update.receiverDetail': 'Stop casting and cast again to load the latest Half-Wit receiver.',
+
+        'a11y.winner': 'Winner',
+        'a11y.mostVotes': 'Most Votes',
+        'a11y.timerWarning': 'Hurry up!',
+        'a11y.timerCritical': 'Almost out of time!',
+
+        'end.status': 'Thanks for playing!',
+        'pause.status': 'Paused',
+
+        'narrator.or': 'or',
+        'narrator.wins': '{name} wins!',
+        'narrator.tie': 'It\'s a tie!',
+        'narrator.nobody': 'Nobody wins this one!'
+    },
+
+    es: {
+        'connecting.status': 'Conectando...',
+
+        'lobby.playerCount': { one: '{players}/{count} jugador', other: '{players}/{count} jugadores' },
+        'lobby.roundCount': { one: '{count} ronda', other: '{count} rondas' },
+        'lobby.answerTime': '{minutes} min para responder',
+        'lobby.anonymous': 'Modo anónimo',
+        'lobby.audience': { one: '+{count} en el público', other: '+{count} en el público' },
+        'lobby.waiting': 'Esperando a que el anfitrión empiece...',
+        'lobby.playersHeader': 'Jugadores',
+        'lobby.joinCode': 'Código para unirse',
+        'lobby.ready': 'Listo',
+        'lobby.idle': 'Inactivo',
+        'lobby.disconnected': 'Desconectado',
+
+        'tutorial.welcome': '¡Bienvenidos a Half/Wit!',
+        'tutorial.howItWorks': 'Así es como funciona...',
+        'tutorial.roundsIntro': 'Esta partida tendrá',
+        'tutorial.roundsOutro': { one: 'ronda', other: 'rondas' },
+        'tutorial.prompts': 'Recibirás<br><span class="highlight-lime">2 preguntas</span> al principio de cada ronda',
+        'tutorial.timeLimit': 'Responde AMBAS dentro del<br>límite de {time}',
+        'tutorial.timeLabel': '{minutes} minutos',
+        'tutorial.placeholder': 'Tu respuesta (máx. 80 caracteres)',
+        'tutorial.promptLabel': 'Pregunta {number}',
+        'tutorial.answer1': '¡Una respuesta ingeniosa!',
+        'tutorial.answer2': '¡Una respuesta graciosa!',
+        'tutorial.submit': 'Enviar respuestas',
+        'tutorial.submitted': '¡Enviado!',
+        'tutorial.matchedUp': 'Tus respuestas se <span class="highlight-lime">enfrentarán</span> a las de otro jugador',
+        'tutorial.vs': 'vs',
+        'tutorial.earnPoints': 'Gana <span class="highlight-lime">1 punto</span> por cada jugador que<br>vote por tu respuesta',
+        'tutorial.bonus': 'Y gana un <span class="highlight-lime">bonus de enfrentamiento</span> si recibes<br>más votos que tu rival',
+        'tutorial.remember': 'Pero recuerda...<br><br><span class="highlight-pink tutorial-underline">No</span> puedes votar en<br>las preguntas que respondiste',
+        'tutorial.readyTitle': '¡Eso es todo!',
+        'tutorial.ready': 'Ahora agudiza el ingenio<br>¡y prepárate para jugar!',
+
+        'loading.game': 'Cargando partida...',
+        'loading.round': 'Cargando ronda {round}...',
+
+        'round.label': 'Ronda {round}',
+        'countdown.progress': { one: 'de {total} ronda', other: 'de {total} rondas' },
+        'answering.status': {
+            one: 'Respuestas recibidas de {received} de {total} jugador',
+            other: 'Respuestas recibidas de {received} de {total} jugadores'
+        },
+
+        'voting.transition': '¡Hora de votar!',
+        'voting.vs': 'VS',
+        'voting.seconds': '{seconds} s',
+        'voting.status': {
+            one: 'Votos recibidos de {received} de {total} jugador',
+            other: 'Votos recibidos de {received} de {total} jugadores'
+        },
+        'voting.progress': 'Enfrentamiento {number} de {total}',
+        'voting.audience': { one: '{count} voto del público', other: '{count} votos del público' },
+
+        'results.votes': 'Votos: +{votes}',
+        'results.bonus': 'Bonus de enfrentamiento: +1',
+        'results.abstained': 'Se abstuvieron:',
+        'results.audience': '{percent} del público',
+
+        'roundResults.title': 'Resultados de la ronda {round}',
+        'roundResults.roundScores': 'Puntos de la ronda',
+        'roundResults.standings': 'Clasificación actual',
+
+        'gameResults.title': 'Resultados de la partida',
+        'gameResults.winner': 'Ganador',
+        'gameResults.halfwit': 'Half-Wit',
+
+        'score.points': { one: '{count} pto', other: '{count} ptos' },
+        'score.rank': '#{rank}',
+
+        'update.appStatus': 'Actualiza la app de Half-Wit',
+        'update.appDetail': 'Esta versión de la app es demasiado antigua para jugar en esta TV.',
+        'update.receiverStatus': 'Esta TV necesita una actualización',
+        'update.receiverDetail': 'Deja de transmitir y vuelve a transmitir para cargar el último receptor de Half-Wit.',
+
+        'a11y.winner': 'Ganador',
+        'a11y.mostVotes': 'Más votos',
+        'a11y.timerWarning': '¡Date prisa!',
+        'a11y.timerCritical': '¡Se acaba el tiempo!',
+
+        'end.status': '¡Gracias por jugar!',
+        'pause.status': 'En pausa',
+
+        'narrator.or': 'o',
+        'narrator.wins': '¡Gana {name}!',
+        'narrator.tie': '¡Es un empate!',
+        'narrator.nobody': '¡Esta vez no gana nadie!'
+    },
+
+    de: {
+        'connecting.status': 'Verbinde...',
+
+        'lobby.playerCount': { one: '{players}/{count} Spieler', other: '{players}/{count} Spieler' },
+        'lobby.roundCount': { one: '{count} Runde', other: '{count} Runden' },
+        'lobby.answerTime': '{minutes} Min. zum Antworten',
+        'lobby.anonymous': 'Anonymer Modus',
+        'lobby.audience': { one: '+{count} im Publikum', other: '+{count} im Publikum' },
+        'lobby.waiting': 'Warte auf den Start durch den Host...',
+        'lobby.playersHeader': 'Spieler',
+        'lobby.joinCode': 'Beitrittscode',
+        'lobby.ready': 'Bereit',
+        'lobby.idle': 'Inaktiv',
+        'lobby.disconnected': 'Getrennt',
+
+        'tutorial.welcome': 'Willkommen bei Half/Wit!',
+        'tutorial.howItWorks': 'So funktioniert\'s...',
+        'tutorial.roundsIntro': 'Dieses Spiel besteht aus',
+        'tutorial.roundsOutro': { one: 'Runde', other: 'Runden' },
+        'tutorial.prompts': 'Du bekommst zu Beginn jeder Runde<br><span class="highlight-lime">2 Fragen</span>',
+        'tutorial.timeLimit': 'Beantworte BEIDE innerhalb von<br>{time}',
+        'tutorial.timeLabel': '{minutes} Minuten',
+        'tutorial.placeholder': 'Deine Antwort (max. 80 Zeichen)',
+        'tutorial.promptLabel': 'Frage {number}',
+        'tutorial.answer1': 'Eine clevere Antwort!',
+        'tutorial.answer2': 'Eine witzige Antwort!',
+        'tutorial.submit': 'Antworten senden',
+        'tutorial.submitted': 'Gesendet!',
+        'tutorial.matchedUp': 'Deine Antworten treten <span class="highlight-lime">im Duell</span> gegen die eines anderen Spielers an',
+        'tutorial.vs': 'vs',
+        'tutorial.earnPoints': 'Du bekommst <span class="highlight-lime">1 Punkt</span> für jeden Spieler,<br>der für deine Antwort stimmt',
+        'tutorial.bonus': 'Dazu gibt es einen <span class="highlight-lime">Duell-Bonus</span>, wenn du<br>mehr Stimmen als dein Gegner bekommst',
+        'tutorial.remember': 'Aber denk dran...<br><br>Du darfst <span class="highlight-pink tutorial-underline">nicht</span> über<br>deine eigenen Fragen abstimmen',
+        'tutorial.readyTitle': 'Das war\'s!',
+        'tutorial.ready': 'Jetzt nimm deinen Witz zusammen<br>und mach dich bereit!',
+
+        'loading.game': 'Spiel wird geladen...',
+        'loading.round': 'Runde {round} wird geladen...',
+
+        'round.label': 'Runde {round}',
+        'countdown.progress': { one: 'von {total} Runde', other: 'von {total} Runden' },
+        'answering.status': {
+            one: 'Antworten von {received} von {total} Spieler erhalten',
+            other: 'Antworten von {received} von {total} Spielern erhalten'
+        },
+
+        'voting.transition': 'Zeit zum Abstimmen!',
+        'voting.vs': 'VS',
+        'voting.seconds': '{seconds} s',
+        'voting.status': {
+            one: 'Stimmen von {received} von {total} Spieler erhalten',
+            other: 'Stimmen von {received} von {total} Spielern erhalten'
+        },
+        'voting.progress': 'Duell {number} von {total}',
+        'voting.audience': { one: '{count} Publikumsstimme', other: '{count} Publikumsstimmen' },
+
+        'results.votes': 'Stimmen: +{votes}',
+        'results.bonus': 'Duell-Bonus: +1',
+        'results.abstained': 'Enthalten:',
+        'results.audience': '{percent} des Publikums',
+
+        'roundResults.title': 'Ergebnisse Runde {round}',
+        'roundResults.roundScores': 'Rundenpunkte',
+        'roundResults.standings': 'Aktueller Stand',
+
+        'gameResults.title': 'Endergebnis',
+        'gameResults.winner': 'Gewinner',
+        'gameResults.halfwit': 'Half-Wit',
+
+        'score.points': { one: '{count} Pkt.', other: '{count} Pkt.' },
+        'score.rank': '#{rank}',
+
+        'update.appStatus': 'Bitte aktualisiere die Half-Wit-App',
+        'update.appDetail': 'Diese App-Version ist zu alt für diesen Fernseher.',
+        'update.receiverStatus': 'Dieser Fernseher braucht ein Update',
+        'update.receiverDetail': 'Beende das Streamen und starte es neu, um den aktuellen Half-Wit-Receiver zu laden.',
+
+        'a11y.winner': 'Gewinner',
+        'a11y.mostVotes': 'Meiste Stimmen',
+        'a11y.timerWarning': 'Beeil dich!',
+        'a11y.timerCritical': 'Die Zeit ist gleich um!',
+
+        'end.status': 'Danke fürs Spielen!',
+        'pause.status': 'Pausiert',
+
+        'narrator.or': 'oder',
+        'narrator.wins': '{name} gewinnt!',
+        'narrator.tie': 'Unentschieden!',
+        'narrator.nobody': 'Diesmal gewinnt niemand!'
+    }
+};